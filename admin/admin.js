@@ -0,0 +1,293 @@
+/* ============================================
+   חיים ארוכים — Admin Editor
+   Served by `node auto-scout.js admin` (scout/admin.js)
+   Lists drafts + published articles, edits inline,
+   previews with the site's own feed.js / article.js
+   ============================================ */
+
+(function () {
+  'use strict';
+
+  const state = {
+    tab: 'drafts',
+    drafts: [],
+    articles: [],
+    categories: [],
+    selectedId: null,
+    filter: ''
+  };
+
+  // Draft status as shown in the list / in the editor header
+  const STATUS_LABELS = { pending: 'ממתין', held: '⚠ מעוכב', approved: '✓ מאושר' };
+  const DRAFT_STATUS_LABELS = { pending: 'ממתינה', held: 'מעוכבת בבדיקת הבטיחות', approved: 'מאושרת' };
+
+  const form = document.getElementById('editor');
+  const list = document.getElementById('entry-list');
+  const field = name => form.elements.namedItem(name);
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  // Everything but GET goes as JSON, even without a body: the server refuses other content types
+  async function api(method, path, body) {
+    const json = method !== 'GET';
+    const response = await fetch(path, {
+      method,
+      headers: json ? { 'Content-Type': 'application/json' } : {},
+      body: json ? JSON.stringify(body || {}) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      error.errors = data.errors || [];
+      throw error;
+    }
+    return data;
+  }
+
+  // ── Data ─────────────────────────────────
+
+  async function loadState() {
+    const data = await api('GET', '/api/state');
+    state.drafts = data.drafts;
+    state.articles = data.articles;
+    state.categories = data.categories;
+    renderCategories();
+    renderTabs();
+    renderList();
+    if (!currentEntry()) select(null);
+  }
+
+  function entries() {
+    return state.tab === 'drafts' ? state.drafts : state.articles;
+  }
+
+  function currentEntry() {
+    return entries().find(e => e.id === state.selectedId) || null;
+  }
+
+  function formValues() {
+    return {
+      title: field('title').value.trim(),
+      summary: field('summary').value.trim(),
+      bottomLine: field('bottomLine').value.trim(),
+      category: field('category').value,
+      tags: field('tags').value.split(',').map(t => t.trim()).filter(Boolean),
+      translations: translationValues()
+    };
+  }
+
+  // The English edition: { en: {...} } when any of its fields is filled in, else none
+  function translationValues() {
+    const en = {
+      title: field('titleEn').value.trim(),
+      summary: field('summaryEn').value.trim(),
+      bottomLine: field('bottomLineEn').value.trim()
+    };
+    return Object.values(en).some(Boolean) ? { en } : {};
+  }
+
+  function fillTranslation(en = {}) {
+    field('titleEn').value = en.title || '';
+    field('summaryEn').value = en.summary || '';
+    field('bottomLineEn').value = en.bottomLine || '';
+    document.getElementById('editor-english').open = Boolean(en.title);
+  }
+
+  // ── Rendering ────────────────────────────
+
+  function renderCategories() {
+    field('category').innerHTML = state.categories.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+  }
+
+  function renderTabs() {
+    document.querySelectorAll('.admin-tab').forEach(button => {
+      const active = button.dataset.tab === state.tab;
+      button.classList.toggle('bg-sage-100', active);
+      button.classList.toggle('text-sage-600', active);
+    });
+    document.getElementById('count-drafts').textContent = `(${state.drafts.length})`;
+    document.getElementById('count-articles').textContent = `(${state.articles.length})`;
+    document.getElementById('publish-approved').disabled = !state.drafts.some(d => d.status === 'approved');
+  }
+
+  function renderList() {
+    const filter = state.filter.toLowerCase();
+    const shown = entries().filter(e => !filter || e.title.toLowerCase().includes(filter) || (e.originalTitle || '').toLowerCase().includes(filter));
+
+    list.innerHTML = shown.map(entry => `
+      <li>
+        <button data-id="${escapeHtml(entry.id)}" class="w-full text-right bg-white border rounded p-3 text-sm ${entry.id === state.selectedId ? 'border-sage-400' : 'border-gray-200'}">
+          <span class="block text-xs text-gray-500">
+            ${entry.status ? `${STATUS_LABELS[entry.status] || entry.status} · ` : `#${escapeHtml(entry.id)} · `}${escapeHtml(entry.category)} · ${escapeHtml(entry.publishDate)}
+          </span>
+          <span class="block font-medium mt-1">${escapeHtml(entry.title)}</span>
+        </button>
+      </li>
+    `).join('') || '<li class="text-sm text-gray-500">אין פריטים.</li>';
+  }
+
+  function renderPreview() {
+    const entry = currentEntry();
+    const cardEl = document.getElementById('preview-card');
+    const articleEl = document.getElementById('preview-article');
+    if (!entry) {
+      cardEl.innerHTML = '';
+      articleEl.innerHTML = '';
+      return;
+    }
+
+    const preview = { ...entry, ...formValues() };
+    cardEl.innerHTML = window.renderArticleCard ? window.renderArticleCard(preview) : '';
+    articleEl.innerHTML = window.renderArticleBody ? window.renderArticleBody(preview) : '';
+    if (window.initScrollReveal) window.initScrollReveal();
+  }
+
+  function showErrors(errors) {
+    document.getElementById('editor-errors').innerHTML = errors.map(e => `<li>• ${escapeHtml(e)}</li>`).join('');
+  }
+
+  // Safety-check flags on a held draft (scout/safety.js)
+  function flagMessages(entry) {
+    return (entry.safetyFlags || []).map(flag => `בדיקת בטיחות: ${flag.message} («${flag.match}»)`);
+  }
+
+  function showStatus(message) {
+    document.getElementById('editor-status').textContent = message;
+  }
+
+  function select(id) {
+    state.selectedId = id;
+    const entry = currentEntry();
+    form.classList.toggle('hidden', !entry);
+    document.getElementById('editor-empty').classList.toggle('hidden', Boolean(entry));
+    showErrors(entry ? flagMessages(entry) : []);
+    showStatus('');
+
+    if (entry) {
+      field('title').value = entry.title;
+      field('summary').value = entry.summary;
+      field('bottomLine').value = entry.bottomLine;
+      field('category').value = entry.category;
+      field('tags').value = (entry.tags || []).join(', ');
+      fillTranslation((entry.translations || {}).en);
+
+      const isDraft = state.tab === 'drafts';
+      document.getElementById('editor-meta').textContent = isDraft
+        ? `טיוטה ${entry.id} · ${DRAFT_STATUS_LABELS[entry.status] || entry.status}${entry.promptVersion ? ` · ${entry.promptVersion}` : ''}`
+        : `כתבה #${entry.id} · ${entry.publishDate}`;
+      document.getElementById('editor-source').href = entry.sourceUrl;
+      document.getElementById('editor-original').textContent = entry.originalTitle || '';
+      document.getElementById('action-approve').classList.toggle('hidden', !isDraft || entry.status === 'approved');
+      document.getElementById('action-reject').classList.toggle('hidden', !isDraft);
+    }
+
+    renderList();
+    renderPreview();
+  }
+
+  // ── Actions ──────────────────────────────
+
+  // Runs an action; its return value becomes the status line.
+  async function run(action) {
+    showErrors([]);
+    showStatus('...');
+    try {
+      showStatus(await action() || '');
+    } catch (error) {
+      showStatus('');
+      showErrors(error.errors && error.errors.length ? error.errors : [error.message]);
+    }
+  }
+
+  function save() {
+    return api('PUT', `/api/${state.tab}/${encodeURIComponent(state.selectedId)}`, formValues());
+  }
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    run(async () => {
+      await save();
+      await loadState();
+      select(state.selectedId);
+      return 'נשמר.';
+    });
+  });
+
+  form.addEventListener('input', renderPreview);
+
+  document.getElementById('action-approve').addEventListener('click', () => {
+    run(async () => {
+      // Saving re-runs the safety check; a draft still held needs an explicit override
+      const saved = await save();
+      const override = saved.status === 'held' &&
+        window.confirm(`הטיוטה מעוכבת בבדיקת הבטיחות:\n${flagMessages(saved).join('\n')}\n\nלאשר בכל זאת?`);
+      if (saved.status === 'held' && !override) {
+        await loadState();
+        select(state.selectedId);
+        return 'נשמר — הטיוטה עדיין מעוכבת.';
+      }
+      await api('POST', `/api/drafts/${encodeURIComponent(state.selectedId)}/approve`, override ? { override: true } : undefined);
+      await loadState();
+      select(state.selectedId);
+      return 'נשמר ואושר לפרסום.';
+    });
+  });
+
+  document.getElementById('action-reject').addEventListener('click', () => {
+    const reason = window.prompt('סיבת הדחייה:');
+    if (!reason) return;
+    run(async () => {
+      await api('POST', `/api/drafts/${encodeURIComponent(state.selectedId)}/reject`, { reason });
+      await loadState();
+      select(null);
+      return 'נדחה.';
+    });
+  });
+
+  document.getElementById('action-resummarize').addEventListener('click', () => {
+    run(async () => {
+      const { suggestion, promptVersion } = await api('POST', `/api/${state.tab}/${encodeURIComponent(state.selectedId)}/resummarize`);
+      field('title').value = suggestion.title;
+      field('summary').value = suggestion.summary;
+      field('bottomLine').value = suggestion.bottomLine;
+      field('category').value = suggestion.category;
+      field('tags').value = (suggestion.tags || []).join(', ');
+      fillTranslation((suggestion.translations || {}).en);
+      renderPreview();
+      return `סיכום חדש (${promptVersion}) — בדקו ושמרו.`;
+    });
+  });
+
+  document.getElementById('publish-approved').addEventListener('click', () => {
+    run(async () => {
+      const { published } = await api('POST', '/api/publish');
+      await loadState();
+      return `פורסמו ${published.length} כתבות.`;
+    });
+  });
+
+  document.querySelectorAll('.admin-tab').forEach(button => {
+    button.addEventListener('click', () => {
+      state.tab = button.dataset.tab;
+      renderTabs();
+      select(null);
+    });
+  });
+
+  list.addEventListener('click', event => {
+    const button = event.target.closest('button[data-id]');
+    if (button) select(button.dataset.id);
+  });
+
+  document.getElementById('list-filter').addEventListener('input', event => {
+    state.filter = event.target.value;
+    renderList();
+  });
+
+  document.addEventListener('DOMContentLoaded', () => {
+    loadState().catch(error => showErrors([error.message]));
+  });
+
+})();
@@ -1,345 +1,440 @@
 #!/usr/bin/env node
 /**
  * auto-scout.js — Fetch latest longevity & health headlines from multiple sources,
- * deduplicate against existing content.json, and optionally summarize + inject automatically.
+ * deduplicate against existing content.json (URL, DOI, PMID, fuzzy title — see scout/dedupe.js), and optionally summarize + inject automatically.
  *
  * Usage:
  *   node auto-scout.js              — Dry run: prints new candidates
- *   node auto-scout.js --auto       — Full autonomy: fetch → AI summarize → write content.json
- *   node auto-scout.js --apply --articles='[...]'  — Inject pre-summarized articles
+ *   node auto-scout.js --auto       — Fetch → AI summarize → pending drafts in content/drafts.json
+ *   node auto-scout.js review <list|show|approve|edit|reject|publish> — Editorial review (see scout/review.js)
+ *   node auto-scout.js admin [--port=4321]         — Local web editor for drafts and articles (see scout/admin.js)
+ *   node auto-scout.js build [--out=dist]          — Static site with per-article SEO pages (see scout/site.js)
+ *   node auto-scout.js digest [--days=7 | --since=YYYY-MM-DD --until=YYYY-MM-DD] [--send] [--to=a@x,b@y]
+ *                                                  — Weekly Hebrew email digest, HTML + text (see scout/digest.js)
+ *   node auto-scout.js social [--channel=telegram] [--article=<id>] [--dry-run]
+ *                                                  — Post new articles to Telegram / X / WhatsApp (see scout/social.js)
+ *   node auto-scout.js tags [--dry-run]            — Backfill topic tags on the archive from config/topics.json
+ *                                                    (see scout/topics.js)
+ *   node auto-scout.js evidence [--dry-run]        — Backfill study type / evidence strength on the archive
+ *                                                    (see scout/evidence.js)
+ *   node auto-scout.js --apply --articles='[...]'  — Add pre-summarized articles as drafts for review
+ *                       (optional per-article fields: originalTitle, publishedAt, sourceName, origin, doi, pmid, tags,
+ *                        studyType, sampleSize)
+ *   node auto-scout.js --list-sources              — Show configured sources
+ *   node auto-scout.js --source=<name>             — Scout a single source (combines with --auto)
+ *   node auto-scout.js --list-prompts              — Show prompt templates in prompts/
+ *   node auto-scout.js --auto --dry-run --prompt=<name>  — Summarize with a prompt variant, print, don't write
+ *   node auto-scout.js --migrate [--dry-run]       — Upgrade content.json to the current schema (see scout/schema.js)
+ *   node auto-scout.js --reshard                   — Rebuild content/index.json, search.json, related.json + month shards
+ *
+ * Options:
+ *   --token-budget=<n>  — Max tokens of abstract/article text sent per item (default 700)
+ *   --no-enrich         — Skip fetching abstracts/article text (headline + feed blurb only)
+ *   --timeout=<ms>      — Per-request timeout for source fetches (default 20000)
+ *   --retries=<n>       — Retries on network errors, 429 and 5xx (default 3)
+ *   --no-cache          — Ignore the conditional-GET cache in .cache/http
+ *   --summarizer=<name> — anthropic | openai | mock (default from config/summarizer.json)
+ *   --model=<id>, --temperature=<t>, --max-tokens=<n>, --batch-size=<n>, --concurrency=<n>,
+ *                         --max-per-run=<n>
+ *                       — Override the summarizer settings in config/summarizer.json
+ *   --prompt=<name>     — Prompt template from prompts/<name>.md (default "default")
+ *   --sources-config=<path> — Use another sources file instead of config/sources.json
+ *   --content=<path>    — Read/write another articles file instead of content/articles.json
+ *   --queue=<path>      — Read/write another queue file instead of content/queue.json
+ *   --drafts=<path>, --rejected=<path> — Use other drafts / rejected files (content/drafts.json, content/rejected.json)
+ *   --out=<dir>         — Output directory for `build` (default dist/) and `digest` (default digests/)
+ *
+ * Offline end-to-end run (no network, no API key):
+ *   node auto-scout.js --auto --summarizer=mock --no-enrich \
+ *     --sources-config=fixtures/sources.offline.json --content=/tmp/articles.json --queue=/tmp/queue.json \
+ *     --drafts=/tmp/drafts.json --rejected=/tmp/rejected.json
+ *   (test/offline-run.test.js runs the same pipeline and checks the drafts it writes)
  *
  * Sources:
- *   1. Google News RSS     (health/longevity news)
- *   2. ScienceDaily RSS    (aging & longevity research)
- *   3. Medical News Today  (aging category)
- *   4. PubMed RSS          (longevity search)
- *   5. OpenAlex API        (academic papers)
+ *   Declared in config/sources.json (see scout/sources.js for the supported types).
+ *   Defaults: Google News, ScienceDaily, Medical News Today, PubMed, OpenAlex.
  *
  * Rate Limiting:
- *   - MAX_PER_SOURCE = 2 (top 2 new articles per source)
- *   - MAX_ARTICLES_PER_BATCH = 10 (max sent to Claude)
+ *   - Per-source "limit" in config/sources.json (default 2 new articles per source)
+ *   - batchSize / concurrency in config/summarizer.json (default 10 per request, 2 requests in flight)
+ *   - maxPerRun in config/summarizer.json (default 40); the rest wait in content/queue.json
+ *   - MAX_REPAIR_ROUNDS = 2 (re-prompts for items that fail validation, see scout/summarize.js)
+ *
+ * Editorial review:
+ *   Summaries are never published directly. --auto stores them as pending drafts; an editor
+ *   runs `review approve|edit|reject`, then `review publish` moves approved drafts into
+ *   content.json. Rejected sources are remembered in content/rejected.json and skipped by
+ *   the scout (see scout/drafts.js).
+ *   Drafts that trip the medical-safety check (hype or cure language, dosage advice, "stop
+ *   your medication", numbers missing from the source, animal studies without a caveat —
+ *   rules in config/safety.json, see scout/safety.js) are stored as "held" and listed in the
+ *   run's safety report; they need an edit that clears the flags or `review approve --override`.
+ *
+ * Content store:
+ *   Every write is atomic, backed up to content/.backups/ and done under a lock, and
+ *   refreshes the month shards, index, search index and related-reading lists the pages load
+ *   (see scout/store.js).
+ *   A corrupted articles file stops the run instead of being treated as empty.
+ *
+ * Static site:
+ *   `build` renders articles/<slug>.html (title, description, canonical, Open Graph, NewsArticle
+ *   JSON-LD) plus pre-rendered index.html and archive.html, using the markup in js/feed.js,
+ *   js/article.js and js/archive.js. Base URL and site name: config/site.json (or SITE_URL).
+ *   It also writes feed.xml (RSS), atom.xml and feed.json, site-wide and per category
+ *   under feeds/<category>/ (see scout/feeds.js), and sitemap.xml + robots.txt (see
+ *   scout/sitemap.js). .github/workflows/pages.yml rebuilds and deploys it when articles change.
+ *
+ * Queue:
+ *   Candidates over maxPerRun, or in batches that failed, are saved to content/queue.json
+ *   and summarized first on the next run (see scout/queue.js).
  *
  * Environment:
- *   ANTHROPIC_API_KEY  — Required for --auto mode (Claude API for Hebrew summarization)
+ *   ANTHROPIC_API_KEY  — Required for --auto mode with the anthropic summarizer
+ *   OPENAI_API_KEY     — Optional bearer token for the openai (compatible) summarizer
+ *   SITE_URL           — Overrides baseUrl in config/site.json for `build`
+ *   SMTP_USER, SMTP_PASS — SMTP credentials for `digest --send` (names set in config/digest.json)
+ *   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID — Telegram channel for `social` (names set in config/social.json)
  */
 
-import { readFileSync, writeFileSync } from "fs";
-import { resolve, dirname } from "path";
-import { fileURLToPath } from "url";
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const CONTENT_PATH = resolve(__dirname, "content/articles.json");
-
-const MAX_PER_SOURCE = 2;
-const MAX_ARTICLES_PER_BATCH = 10;
-
-// ── Helpers ──────────────────────────────────────────────
-
-function hebrewDate() {
-  return new Date().toLocaleDateString("he-IL", {
-    day: "numeric",
-    month: "long",
-    year: "numeric",
-  });
-}
+import { resolve } from "path";
+import { loadSources, fetchSource } from "./scout/sources.js";
+import { configureHttp } from "./scout/http.js";
+import { loadSummarizerConfig, createSummarizer, requestJsonArray } from "./scout/summarizer.js";
+import { enrichCandidates, DEFAULT_TOKEN_BUDGET } from "./scout/enrich.js";
+import { validateSummary } from "./scout/validate.js";
+import { loadPrompt, listPrompts, DEFAULT_PROMPT } from "./scout/prompts.js";
+import { summarizeCandidates } from "./scout/summarize.js";
+import { loadQueue, saveQueue, pruneQueue, buildQueue, QUEUE_PATH } from "./scout/queue.js";
+import { buildIndex, addToIndex, findDuplicate, canonicalizeCandidate, canonicalizeUrl, clusterCandidates } from "./scout/dedupe.js";
+import { migrateArticles, SCHEMA_VERSION } from "./scout/schema.js";
+import { loadDrafts, saveDrafts, loadRejected, createDraft, DRAFTS_PATH, REJECTED_PATH } from "./scout/drafts.js";
+import { runReview } from "./scout/review.js";
+import { startAdminServer } from "./scout/admin.js";
+import { loadArticles, saveArticles, withLock, CONTENT_PATH } from "./scout/store.js";
+import { buildSite, DEFAULT_OUT_DIR } from "./scout/site.js";
+import { runDigest } from "./scout/digest.js";
+import { runSocial } from "./scout/social.js";
+import { loadTopics, tagArticle, backfillTags } from "./scout/topics.js";
+import { classifyEvidence, backfillEvidence, STUDY_TYPES } from "./scout/evidence.js";
+import { loadSafetyRules, checkSafety, formatFlag } from "./scout/safety.js";
+
+// ── AI Summarization ─────────────────────────────────────
+
+function printValidationReport({ articles, dropped, unexpected, unprocessed }) {
+  if (dropped.length === 0 && unexpected.length === 0 && unprocessed.length === 0) {
+    console.log(`  Validation: all ${articles.length} summaries passed\n`);
+    return;
+  }
 
-function loadExisting() {
-  try {
-    return JSON.parse(readFileSync(CONTENT_PATH, "utf-8"));
-  } catch {
-    return [];
+  console.log(`\n=== VALIDATION REPORT: ${articles.length} passed, ${dropped.length} dropped ===\n`);
+  for (const { input, errors } of dropped) {
+    console.log(`  DROPPED: ${input.title.slice(0, 70)}`);
+    console.log(`    URL: ${input.link}`);
+    for (const error of errors) console.log(`    - ${error}`);
+  }
+  for (const { output, errors } of unexpected) {
+    console.log(`  IGNORED output: ${String(output?.title || JSON.stringify(output)).slice(0, 70)}`);
+    for (const error of errors) console.log(`    - ${error}`);
   }
+  for (const { item, error } of unprocessed) {
+    console.log(`  QUEUED: ${item.title.slice(0, 70)} — ${error}`);
+  }
+  console.log();
 }
 
-function isDuplicate(existing, url, title) {
-  const normalizedUrl = url.replace(/\/+$/, "").toLowerCase();
-  const normalizedTitle = title.toLowerCase().trim();
-  return existing.some((a) => {
-    const existingUrl = (a.sourceUrl || "").replace(/\/+$/, "").toLowerCase();
-    const existingTitle = (a.title || "").toLowerCase().trim();
-    return existingUrl === normalizedUrl || existingTitle === normalizedTitle;
-  });
-}
+function printSafetyReport(held) {
+  if (held.length === 0) {
+    console.log("  Safety check: no flags\n");
+    return;
+  }
 
-function parseRSSItems(xml) {
-  const items = [];
-  const regex = /<item>[\s\S]*?<title>([\s\S]*?)<\/title>[\s\S]*?<link>([\s\S]*?)<\/link>[\s\S]*?<pubDate>([\s\S]*?)<\/pubDate>[\s\S]*?<\/item>/g;
-  let match;
-  while ((match = regex.exec(xml)) !== null) {
-    const rawTitle = match[1].trim().replace(/<!\[CDATA\[|\]\]>/g, "");
-    items.push({
-      title: rawTitle.trim(),
-      link: match[2].trim(),
-      pubDate: match[3].trim(),
-    });
+  console.log(`\n=== SAFETY REPORT: ${held.length} held for review ===\n`);
+  for (const draft of held) {
+    console.log(`  HELD ${draft.id}: ${draft.title.slice(0, 70)}`);
+    console.log(`    URL: ${draft.sourceUrl}`);
+    for (const flag of draft.safetyFlags) console.log(`    - ${formatFlag(flag)}`);
   }
-  return items;
+  console.log();
 }
 
-// ── Source 1: Google News RSS ────────────────────────────
-
-async function fetchGoogleNews() {
-  const query = encodeURIComponent("longevity OR anti-aging OR lifespan OR healthy aging");
-  const url = `https://news.google.com/rss/search?q=${query}&hl=en&gl=US&ceid=US:en`;
+// ── Main ─────────────────────────────────────────────────
 
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Google News RSS: ${res.status}`);
-  const xml = await res.text();
+async function main() {
+  const args = process.argv.slice(2);
+  const autoMode = args.includes("--auto");
+  const applyMode = args.includes("--apply");
+  const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  // Whole numbers only: parseInt("abc") is NaN, which would quietly empty every token budget or timeout.
+  const intOption = (name, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const value = option(name);
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      const range = max < Number.MAX_SAFE_INTEGER ? `an integer from ${min} to ${max}` : min === 0 ? "a non-negative integer" : "a positive integer";
+      throw new Error(`--${name} must be ${range}, got "${value}" (see the usage at the top of auto-scout.js)`);
+    }
+    return Number(value);
+  };
+  const articlesJson = option("articles");
+  const sourceName = option("source");
+  const tokenBudget = intOption("token-budget") ?? DEFAULT_TOKEN_BUDGET;
+  const contentPath = option("content") ? resolve(option("content")) : CONTENT_PATH;
+  const queuePath = option("queue") ? resolve(option("queue")) : QUEUE_PATH;
+  const draftsPath = option("drafts") ? resolve(option("drafts")) : DRAFTS_PATH;
+  const rejectedPath = option("rejected") ? resolve(option("rejected")) : REJECTED_PATH;
+  const sourcesPath = option("sources-config") ? resolve(option("sources-config")) : undefined;
+
+  const summarizerOverrides = {
+    backend: option("summarizer"),
+    model: option("model"),
+    temperature: option("temperature") !== undefined ? Number(option("temperature")) : undefined,
+    maxTokens: intOption("max-tokens"),
+    batchSize: intOption("batch-size"),
+    concurrency: intOption("concurrency"),
+    maxPerRun: intOption("max-per-run"),
+  };
+  if (Number.isNaN(summarizerOverrides.temperature) || summarizerOverrides.temperature < 0) {
+    throw new Error(`--temperature must be a number of 0 or more, got "${option("temperature")}"`);
+  }
 
-  const items = parseRSSItems(xml);
-  return items.slice(0, MAX_PER_SOURCE).map((item) => {
-    const titleParts = item.title.split(" - ");
-    const title = titleParts.slice(0, -1).join(" - ") || item.title;
-    const source = titleParts.length > 1 ? titleParts[titleParts.length - 1] : "Google News";
-    return { title: title.trim(), source: source.trim(), link: item.link, pubDate: item.pubDate, origin: "google-news" };
+  configureHttp({
+    ...(option("timeout") !== undefined ? { timeoutMs: intOption("timeout") } : {}),
+    ...(option("retries") !== undefined ? { retries: intOption("retries", { min: 0 }) } : {}),
+    ...(args.includes("--no-cache") ? { cache: false } : {}),
   });
-}
-
-// ── Source 2: ScienceDaily RSS ───────────────────────────
-
-async function fetchScienceDaily() {
-  const url = "https://www.sciencedaily.com/rss/health_medicine/healthy_aging.xml";
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`ScienceDaily RSS: ${res.status}`);
-  const xml = await res.text();
 
-  return parseRSSItems(xml).slice(0, MAX_PER_SOURCE).map((item) => ({
-    title: item.title,
-    source: "ScienceDaily",
-    link: item.link,
-    pubDate: item.pubDate,
-    origin: "sciencedaily",
-  }));
-}
-
-// ── Source 3: Medical News Today RSS ─────────────────────
-
-async function fetchMedicalNewsToday() {
-  const url = "https://www.medicalnewstoday.com/categories/aging/rss";
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`MedNewsToday RSS: ${res.status}`);
-  const xml = await res.text();
-
-  return parseRSSItems(xml).slice(0, MAX_PER_SOURCE).map((item) => ({
-    title: item.title,
-    source: "Medical News Today",
-    link: item.link,
-    pubDate: item.pubDate,
-    origin: "medicalnewstoday",
-  }));
-}
+  // ── Mode 0: review / admin / build / digest / social / tags / --list-prompts / --list-sources ──
+  if (args[0] === "review") {
+    await runReview(args.slice(1), { contentPath, draftsPath, rejectedPath });
+    return;
+  }
 
-// ── Source 4: PubMed RSS ─────────────────────────────────
-
-async function fetchPubMed() {
-  const query = encodeURIComponent("longevity aging lifespan");
-  const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&term=${query}&retmax=5&sort=date&retmode=json`;
-
-  const searchRes = await fetch(searchUrl);
-  if (!searchRes.ok) throw new Error(`PubMed search: ${searchRes.status}`);
-  const searchData = await searchRes.json();
-  const ids = searchData.esearchresult?.idlist || [];
-  if (ids.length === 0) return [];
-
-  const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=pubmed&id=${ids.slice(0, MAX_PER_SOURCE).join(",")}&retmode=json`;
-  const summaryRes = await fetch(summaryUrl);
-  if (!summaryRes.ok) throw new Error(`PubMed summary: ${summaryRes.status}`);
-  const summaryData = await summaryRes.json();
-
-  const items = [];
-  for (const id of ids.slice(0, MAX_PER_SOURCE)) {
-    const article = summaryData.result?.[id];
-    if (!article) continue;
-    items.push({
-      title: article.title || "Untitled",
-      source: article.source || "PubMed",
-      link: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-      pubDate: article.pubdate || "",
-      origin: "pubmed",
+  if (args[0] === "admin") {
+    await startAdminServer({
+      port: intOption("port", { max: 65535 }),
+      contentPath,
+      draftsPath,
+      rejectedPath,
+      summarizer: () => createSummarizer(loadSummarizerConfig(summarizerOverrides)),
+      prompt: () => loadPrompt(option("prompt") || DEFAULT_PROMPT),
+      enrich: !args.includes("--no-enrich"),
     });
+    return;
   }
-  return items;
-}
-
-// ── Source 5: OpenAlex API ───────────────────────────────
-
-async function fetchOpenAlex() {
-  const url =
-    "https://api.openalex.org/works?search=longevity+aging+lifespan+healthspan&sort=publication_date:desc&per_page=5&mailto=scout@longevity-news.dev";
 
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`OpenAlex: ${res.status}`);
-  const data = await res.json();
-
-  return data.results.slice(0, MAX_PER_SOURCE).map((w) => ({
-    title: w.title || "Untitled",
-    source: w.primary_location?.source?.display_name || "Academic",
-    link: w.doi || w.id || "",
-    pubDate: w.publication_date || "",
-    origin: "openalex",
-  }));
-}
-
-// ── AI Summarization via Anthropic API ───────────────────
-
-async function summarizeWithClaude(items) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    throw new Error("ANTHROPIC_API_KEY environment variable is required for --auto mode");
+  if (args[0] === "build") {
+    const { pages, outDir } = buildSite(loadArticles(contentPath), { outDir: option("out") || DEFAULT_OUT_DIR });
+    console.log(`Built ${pages.length} pages into ${outDir}`);
+    return;
   }
 
-  const batch = items.slice(0, MAX_ARTICLES_PER_BATCH);
-  if (items.length > MAX_ARTICLES_PER_BATCH) {
-    console.log(`  Limiting to ${MAX_ARTICLES_PER_BATCH} of ${items.length} candidates\n`);
+  if (args[0] === "digest") {
+    await runDigest(args.slice(1), loadArticles(contentPath));
+    return;
   }
 
-  const itemsList = batch
-    .map((item, i) => `[${i + 1}] Title: ${item.title}\n    Source: ${item.source}\n    URL: ${item.link}\n    Date: ${item.pubDate}`)
-    .join("\n\n");
-
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 8192,
-      messages: [
-        {
-          role: "user",
-          content: `אתה עורך מדעי בכיר באתר "חיים ארוכים" — פורטל חדשות בריאות ואריכות ימים בעברית.
-הקהל שלך: אינטליגנטי, סקרן, לא בהכרח אנשי מקצוע רפואי.
-הטון: אופטימי אך מבוסס ראיות. לעולם אל תגזים או תבטיח ריפוי.
-
-לכל כתבה מהרשימה למטה, ספק אובייקט JSON עם השדות הבאים:
-- "title": כותרת עברית קצרה ומושכת (לא תרגום מילולי — כתוב כעיתונאי מדעי)
-- "summary": סיכום של 2-3 משפטים — מה נמצא, למה זה חשוב, מה ההשלכות
-- "bottomLine": שורה תחתונה פרקטית אחת — מה הקורא יכול לעשות עם המידע הזה
-- "category": אחת מ: "מחקר", "תזונה", "אורח חיים", "טכנולוגיה רפואית", "גנטיקה"
-- "sourceUrl": כתובת המקור (העתק כמו שהיא מהקלט)
-
-חשוב:
-- כתוב בעברית טבעית כעורך מדעי מקצועי.
-- כותרות צריכות להיות מושכות וספציפיות — כלול מספרים ותוצאות קונקרטיות כשאפשר.
-- חייב להגיב ב-JSON בלבד — מערך JSON אחד.
-- אל תעטוף ב-markdown, אל תוסיף טקסט לפני או אחרי ה-JSON.
-
-כתבות לעיבוד:
-
-${itemsList}`,
-        },
-      ],
-    }),
-  });
-
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Anthropic API error ${res.status}: ${body}`);
+  if (args[0] === "social") {
+    await runSocial(args.slice(1), loadArticles(contentPath));
+    return;
   }
 
-  const data = await res.json();
-  const text = data.content[0].text.trim();
-  const stopReason = data.stop_reason;
+  if (args[0] === "tags") {
+    const vocabulary = loadTopics();
+    await withLock(contentPath, () => {
+      const { articles, changed } = backfillTags(loadArticles(contentPath), vocabulary);
+      const counts = {};
+      for (const tag of articles.flatMap((a) => a.tags || [])) counts[tag] = (counts[tag] || 0) + 1;
+      for (const [tag, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) console.log(`  ${String(n).padStart(4)}  ${tag}`);
+      const untagged = articles.filter((a) => !a.tags?.length).length;
+      if (args.includes("--dry-run")) {
+        console.log(`\nWould retag ${changed} of ${articles.length} articles, ${untagged} without a topic (dry run — nothing written)`);
+        return;
+      }
+      if (changed > 0) saveArticles(contentPath, articles);
+      console.log(`\nRetagged ${changed} of ${articles.length} articles, ${untagged} without a topic.`);
+    });
+    return;
+  }
 
-  if (stopReason === "max_tokens") {
-    console.error("Response was truncated (hit max_tokens). Raw response:\n", text);
-    throw new Error("Claude response was truncated — reduce article count or increase max_tokens");
+  if (args[0] === "evidence") {
+    await withLock(contentPath, () => {
+      const { articles, changed } = backfillEvidence(loadArticles(contentPath));
+      const counts = {};
+      for (const article of articles) {
+        const key = article.evidence ? `${article.evidence.studyType} (${article.evidence.strength})` : "unknown";
+        counts[key] = (counts[key] || 0) + 1;
+      }
+      for (const [key, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) console.log(`  ${String(n).padStart(4)}  ${key}`);
+      if (args.includes("--dry-run")) {
+        console.log(`\nWould classify ${changed} of ${articles.length} articles (dry run — nothing written)`);
+        return;
+      }
+      if (changed > 0) saveArticles(contentPath, articles);
+      console.log(`\nClassified ${changed} of ${articles.length} articles (study types: ${STUDY_TYPES.join(", ")}).`);
+    });
+    return;
   }
 
-  const jsonMatch = text.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error("Raw Claude response:\n", text);
-    throw new Error("Could not find JSON array in Claude response");
+  if (args.includes("--list-prompts")) {
+    for (const p of listPrompts()) {
+      console.log(`  ${p.name.padEnd(16)} v${p.version.padEnd(4)} ${p.description}`);
+    }
+    return;
   }
 
-  try {
-    return JSON.parse(jsonMatch[0]);
-  } catch (e) {
-    console.error("JSON parse failed. Raw extracted text:\n", jsonMatch[0]);
-    throw new Error(`Failed to parse Claude response as JSON: ${e.message}`);
+  if (args.includes("--list-sources")) {
+    const sources = loadSources(sourcesPath);
+    console.log(`Configured sources (${sources.length}):\n`);
+    for (const s of sources) {
+      const target = s.url || s.query;
+      console.log(`  ${s.enabled ? "✓" : "✗"} ${s.name.padEnd(20)} ${s.type.padEnd(9)} limit ${s.limit}  ${s.label}`);
+      console.log(`      ${target}${s.category ? `  [${s.category}]` : ""}`);
+    }
+    return;
   }
-}
 
-// ── Main ─────────────────────────────────────────────────
+  // ── Mode 0b: --migrate (upgrade stored articles to the current schema) ──
+  if (args.includes("--migrate")) {
+    await withLock(contentPath, () => {
+      const { articles, migrated, failed } = migrateArticles(loadArticles(contentPath));
+      for (const { error } of failed) console.error(`  FAILED ${error}`);
+      // Left as they were; fix them by hand and run --migrate again.
+      if (failed.length > 0) process.exitCode = 1;
+      const notMigrated = failed.length > 0 ? `, ${failed.length} could not be migrated` : "";
+      if (args.includes("--dry-run")) {
+        console.log(`Would migrate ${migrated} of ${articles.length} articles to schema v${SCHEMA_VERSION}${notMigrated} (dry run — nothing written)`);
+        if (migrated > 0) console.log(JSON.stringify(articles[0], null, 2));
+        return;
+      }
+      if (migrated > 0) saveArticles(contentPath, articles);
+      console.log(`Migrated ${migrated} of ${articles.length} articles to schema v${SCHEMA_VERSION}${notMigrated}.`);
+    });
+    return;
+  }
 
-async function main() {
-  const args = process.argv.slice(2);
-  const autoMode = args.includes("--auto");
-  const applyMode = args.includes("--apply");
-  const articlesJson = args.find((a) => a.startsWith("--articles="));
+  // ── Mode 0c: --reshard (rebuild content/articles/<month>.json + content/index.json) ──
+  if (args.includes("--reshard")) {
+    await withLock(contentPath, () => {
+      const articles = loadArticles(contentPath);
+      saveArticles(contentPath, articles);
+      console.log(`Rebuilt month shards and index for ${articles.length} articles.`);
+    });
+    return;
+  }
 
-  // ── Mode 1: --apply with --articles=JSON (manual inject) ──
+  // ── Mode 1: --apply with --articles=JSON (hand-written summaries → drafts) ──
   if (applyMode && articlesJson) {
-    const newArticles = JSON.parse(articlesJson.slice("--articles=".length));
-    const existing = loadExisting();
-    let maxId = existing.reduce((max, a) => Math.max(max, parseInt(a.id, 10) || 0), 0);
-
-    let added = 0;
-    for (const article of newArticles) {
-      if (isDuplicate(existing, article.sourceUrl, article.title)) {
-        console.log(`  SKIP (duplicate): ${article.title.slice(0, 50)}...`);
-        continue;
+    const newArticles = JSON.parse(articlesJson);
+    const vocabulary = loadTopics();
+    const safety = loadSafetyRules();
+    await withLock(contentPath, () => {
+      const drafts = loadDrafts(draftsPath);
+      const index = buildIndex([...loadArticles(contentPath), ...drafts, ...loadRejected(rejectedPath)]);
+
+      const newDrafts = [];
+      for (const article of newArticles) {
+        const errors = validateSummary(article);
+        if (errors.length > 0) {
+          console.log(`  SKIP (invalid): ${String(article.title || "").slice(0, 50)}... — ${errors.join("; ")}`);
+          continue;
+        }
+        const reason = findDuplicate(index, article);
+        if (reason) {
+          console.log(`  SKIP (duplicate ${reason}): ${article.title.slice(0, 50)}...`);
+          continue;
+        }
+        const classified = { ...article, tags: tagArticle(article, vocabulary, { keepUnknown: true }), evidence: classifyEvidence(article) };
+        const flags = checkSafety(classified, null, safety);
+        const created = createDraft(classified, null);
+        const draft = flags.length > 0 ? { ...created, status: "held", safetyFlags: flags } : created;
+        newDrafts.unshift(draft);
+        addToIndex(index, draft);
+        console.log(`  ${flags.length > 0 ? "HELD " : "DRAFT"} ${draft.id}: ${draft.title.slice(0, 60)}...`);
       }
-      maxId++;
-      const entry = {
-        id: String(maxId),
-        title: article.title,
-        summary: article.summary,
-        bottomLine: article.bottomLine,
-        category: article.category,
-        publishDate: hebrewDate(),
-        sourceUrl: article.sourceUrl,
-      };
-      existing.unshift(entry);
-      added++;
-      console.log(`  ADDED #${entry.id}: ${entry.title.slice(0, 60)}...`);
-    }
+      printSafetyReport(newDrafts.filter((d) => d.status === "held"));
 
-    writeFileSync(CONTENT_PATH, JSON.stringify(existing, null, 2) + "\n", "utf-8");
-    console.log(`\nDone: ${added} articles added, ${existing.length} total.`);
+      if (newDrafts.length > 0) saveDrafts([...newDrafts, ...drafts], draftsPath);
+      console.log(`\nDone: ${newDrafts.length} drafts added.`);
+      console.log('Review with "node auto-scout.js review list", then "review publish".');
+    });
     return;
   }
 
   // ── Fetch from all sources ──
   console.log("🌿 Scouting for new longevity articles...\n");
 
-  const existing = loadExisting();
-  console.log(`Existing articles in content.json: ${existing.length}\n`);
-
-  const sources = [
-    { name: "Google News", fn: fetchGoogleNews },
-    { name: "ScienceDaily", fn: fetchScienceDaily },
-    { name: "Medical News Today", fn: fetchMedicalNewsToday },
-    { name: "PubMed", fn: fetchPubMed },
-    { name: "OpenAlex", fn: fetchOpenAlex },
-  ];
+  const existing = loadArticles(contentPath);
+  const drafts = loadDrafts(draftsPath);
+  const rejected = loadRejected(rejectedPath);
+  console.log(`Existing articles in content.json: ${existing.length} (+ ${drafts.length} drafts, ${rejected.length} rejected)\n`);
+
+  const registry = loadSources(sourcesPath);
+  let sources;
+  if (sourceName) {
+    const match = registry.find((s) => s.name === sourceName);
+    if (!match) {
+      throw new Error(`Unknown source "${sourceName}" — run --list-sources to see configured names`);
+    }
+    sources = [match];
+  } else {
+    sources = registry.filter((s) => s.enabled);
+  }
 
+  const failed = [];
   const results = await Promise.all(
     sources.map(async (s) => {
       try {
-        const items = await s.fn();
-        console.log(`  ${s.name}: ${items.length} articles (max ${MAX_PER_SOURCE})`);
+        const items = await fetchSource(s);
+        console.log(`  ${s.label}: ${items.length} articles (max ${s.limit})`);
         return items;
       } catch (e) {
-        console.error(`  ${s.name}: ERROR — ${e.message}`);
+        console.error(`  ${s.label}: ERROR — ${e.message}`);
+        failed.push(s.label);
         return [];
       }
     })
   );
 
-  const allItems = results.flat();
+  if (failed.length === sources.length) {
+    throw new Error(`All sources failed (${failed.join(", ")}) — check network access`);
+  }
+  if (failed.length > 0) {
+    console.log(`\n⚠ ${failed.length} of ${sources.length} sources failed after retries: ${failed.join(", ")}`);
+  }
+
+  const allItems = await Promise.all(results.flat().map(canonicalizeCandidate));
   console.log(`\nTotal fetched: ${allItems.length}\n`);
 
-  const newItems = allItems.filter((item) => !isDuplicate(existing, item.link, item.title));
-  const skipped = allItems.length - newItems.length;
+  // Drafts and rejections count as "seen" so nothing is summarized twice or re-scouted after a rejection.
+  const index = buildIndex([...existing, ...drafts, ...rejected]);
+  const rejectedIndex = buildIndex(rejected);
+  const skippedBy = {};
+  const unseen = allItems.filter((item) => {
+    let reason = findDuplicate(index, item);
+    if (reason && findDuplicate(rejectedIndex, item)) reason = "rejection";
+    if (reason) skippedBy[reason] = (skippedBy[reason] || 0) + 1;
+    return !reason;
+  });
+  const skipped = allItems.length - unseen.length;
 
   if (skipped > 0) {
-    console.log(`Skipped ${skipped} duplicates already in content.json\n`);
+    const reasons = Object.entries(skippedBy).map(([reason, n]) => `${n} by ${reason}`).join(", ");
+    console.log(`Skipped ${skipped} already published, drafted or rejected (${reasons})\n`);
+  }
+
+  const { live: queue, expired } = pruneQueue(loadQueue(queuePath));
+  for (const entry of expired) {
+    console.log(`  Queue: giving up on "${entry.item.title.slice(0, 60)}" (${entry.attempts} attempts since ${entry.queuedAt.slice(0, 10)})`);
+  }
+  const queued = queue.map((entry) => entry.item).filter((item) => !findDuplicate(index, item));
+  if (queued.length > 0) {
+    console.log(`Carrying over ${queued.length} queued candidates from earlier runs\n`);
+  }
+  const queuedUrls = new Set(queued.map((item) => item.canonicalUrl));
+
+  let newItems = clusterCandidates([...queued, ...unseen]);
+  const merged = queued.length + unseen.length - newItems.length;
+  if (merged > 0) {
+    console.log(`Merged ${merged} cross-source duplicates within this run\n`);
   }
 
   if (newItems.length === 0) {
@@ -347,56 +442,110 @@ async function main() {
     return;
   }
 
+  if (!args.includes("--no-enrich")) {
+    console.log(`Fetching abstracts and article text (budget ${tokenBudget} tokens/item)...\n`);
+    newItems = await enrichCandidates(newItems, { tokenBudget });
+  }
+
   console.log(`=== ${newItems.length} NEW CANDIDATES ===\n`);
 
   for (let i = 0; i < newItems.length; i++) {
     const item = newItems[i];
-    console.log(`[${i + 1}] ${item.title}`);
+    console.log(`[${i + 1}] ${item.title}${queuedUrls.has(item.canonicalUrl) ? "  (queued)" : ""}`);
     console.log(`    Source: ${item.source} | Origin: ${item.origin}`);
     console.log(`    URL: ${item.link}`);
     console.log(`    Date: ${item.pubDate}`);
+    if (item.doi || item.pmid) console.log(`    IDs: ${[item.doi && `DOI ${item.doi}`, item.pmid && `PMID ${item.pmid}`].filter(Boolean).join(" | ")}`);
+    for (const dup of item.duplicates || []) console.log(`    Also: ${dup.source} — ${dup.link}`);
+    if (item.text) console.log(`    Text: ${item.text.length} chars (${item.textSource})`);
     console.log();
   }
 
   // ── Mode 2: --auto (full autonomy) ──
   if (autoMode) {
-    console.log("Summarizing with Claude API...\n");
-    const summarized = await summarizeWithClaude(newItems);
+    const summarizer = createSummarizer(loadSummarizerConfig(summarizerOverrides));
+    const prompt = loadPrompt(option("prompt") || DEFAULT_PROMPT);
+    console.log(`Summarizing with ${summarizer.name} (${summarizer.model}), prompt ${prompt.id}...\n`);
+    const { maxPerRun } = summarizer.config;
+    const toSummarize = newItems.slice(0, maxPerRun);
+    const overflow = newItems.slice(maxPerRun);
+    if (overflow.length > 0) {
+      console.log(`  ${overflow.length} candidates over the per-run cap of ${maxPerRun} will be queued\n`);
+    }
+
+    const result = await summarizeCandidates(toSummarize, summarizer, prompt);
+    printValidationReport(result);
+    const summarized = result.articles;
+
+    const candidatesByUrl = new Map(newItems.map((item) => [item.canonicalUrl, item]));
+    const safety = loadSafetyRules();
+
+    if (args.includes("--dry-run")) {
+      console.log(`=== ${summarized.length} SUMMARIES (dry run — nothing written) ===\n`);
+      for (const article of summarized) {
+        const candidate = candidatesByUrl.get(canonicalizeUrl(article.sourceUrl));
+        console.log(`[${article.category}] ${article.title}`);
+        console.log(`    ${article.summary}`);
+        console.log(`    ⮑ ${article.bottomLine}`);
+        for (const flag of checkSafety({ ...article, evidence: classifyEvidence(article, candidate) }, candidate, safety)) {
+          console.log(`    ⚠ ${formatFlag(flag)}`);
+        }
+        console.log(`    ${article.sourceUrl}\n`);
+      }
+      return;
+    }
 
-    let maxId = existing.reduce((max, a) => Math.max(max, parseInt(a.id, 10) || 0), 0);
-    let added = 0;
+    const vocabulary = loadTopics();
+    const newDrafts = [];
 
     for (const article of summarized) {
-      if (isDuplicate(existing, article.sourceUrl, article.title)) {
+      if (findDuplicate(index, article)) {
         console.log(`  SKIP (duplicate after summarization): ${article.title.slice(0, 50)}...`);
         continue;
       }
-      maxId++;
-      const entry = {
-        id: String(maxId),
-        title: article.title,
-        summary: article.summary,
-        bottomLine: article.bottomLine || "",
-        category: article.category,
-        publishDate: hebrewDate(),
-        sourceUrl: article.sourceUrl,
-      };
-      existing.unshift(entry);
-      added++;
-      console.log(`  ADDED #${entry.id}: ${entry.title.slice(0, 60)}...`);
+      const candidate = candidatesByUrl.get(canonicalizeUrl(article.sourceUrl));
+      const classified = { ...article, tags: tagArticle(article, vocabulary), evidence: classifyEvidence(article, candidate) };
+      const flags = checkSafety(classified, candidate, safety);
+      const created = createDraft(classified, candidate, {
+        promptVersion: prompt.id,
+        model: summarizer.model,
+      });
+      const draft = flags.length > 0 ? { ...created, status: "held", safetyFlags: flags } : created;
+      newDrafts.unshift(draft);
+      addToIndex(index, draft);
+      console.log(`  ${flags.length > 0 ? "HELD " : "DRAFT"} ${draft.id}: ${draft.title.slice(0, 60)}...`);
     }
+    printSafetyReport(newDrafts.filter((d) => d.status === "held"));
+
+    const nextQueue = [
+      ...result.unprocessed.flatMap(({ item, error }) => buildQueue([item], { previous: queue, reason: error })),
+      ...buildQueue(overflow, { previous: queue, reason: "over per-run cap", attempted: false }),
+    ];
+
+    // Re-read drafts under the lock: an editor may have reviewed some while we were summarizing.
+    const pending = await withLock(contentPath, () => {
+      const current = loadDrafts(draftsPath);
+      const known = new Set(current.map((d) => d.id));
+      const merged = [...newDrafts.filter((d) => !known.has(d.id)), ...current];
+      saveDrafts(merged, draftsPath);
+      saveQueue(nextQueue, queuePath);
+      return merged.filter((d) => d.status === "pending").length;
+    });
 
-    writeFileSync(CONTENT_PATH, JSON.stringify(existing, null, 2) + "\n", "utf-8");
-    console.log(`\nDone: ${added} articles added, ${existing.length} total.`);
+    const held = newDrafts.filter((d) => d.status === "held").length;
+    console.log(`\nDone: ${newDrafts.length} drafts added${held ? ` (${held} held by the safety check)` : ""}, ${pending} pending review.`);
+    console.log('Review with "node auto-scout.js review list", then "review publish".');
+    if (nextQueue.length > 0) console.log(`Queued for next run: ${nextQueue.length}`);
     return;
   }
 
   // ── Mode 3: Dry run (default) ──
   console.log("─".repeat(60));
-  console.log("To add articles, review the candidates above, then run:");
+  console.log("To draft articles by hand, review the candidates above, then run:");
   console.log('  node auto-scout.js --apply --articles=\'[{"title":"...","summary":"...","bottomLine":"...","category":"...","sourceUrl":"..."}]\'');
-  console.log("\nOr run fully automated:");
+  console.log("\nOr summarize into the review queue:");
   console.log("  ANTHROPIC_API_KEY=sk-... node auto-scout.js --auto");
+  console.log("  node auto-scout.js review list");
 }
 
 main().catch((e) => {
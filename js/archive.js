@@ -1,6 +1,18 @@
 /* ============================================
    חיים ארוכים — Archive Page
-   All articles with search + category filter
+   All articles with search, sorting, filters and pages
+   Lists from content/index.json, with summaries from
+   the month shards of the page on screen; a search
+   loads content/search.json (js/search.js) and the
+   term shards its words need from content/search/,
+   and ranks results, falling back to a substring match
+   over all the shards when there is no search index.
+   Every filter lives in the query string
+   (?q=&cat=&tag=&page=&sort=&from=&to=&origin=), so
+   views can be linked and back/forward restores them.
+   Tag landing pages (tags/<slug>.html, built by
+   scout/site.js) carry their tag in data-tag.
+   Strings and article translations: js/i18n.js
    ============================================ */
 
 (function () {
@@ -14,22 +26,148 @@
     'גנטיקה': '🧬'
   };
 
+  const { t, localize, textAttrs, categoryLabel, formatDate } = window.i18n;
+
+  const PAGE_SIZE = 12;
+  const TAG_FILTER_COUNT = 16;
+  const SORTS = ['newest', 'oldest', 'relevance'];
+
   let allArticles = [];
-  let activeCategory = 'הכל';
+  let shards = [];
+  // Display names for the origin filter: config/sources.json labels, via index.json
+  let originLabels = {};
+  const shardLoads = new Map();
+  const fullText = new Map();
+  let fullTextLoaded = false;
+  let searchIndex = null;
+  let searchIndexTried = false;
+  const searchShardLoads = new Map();
+  let state = null;
+  // Bumped by every applyFilters call, so a slow earlier call can't render over a newer one
+  let filterRun = 0;
 
   async function loadArchive() {
     try {
-      const response = await fetch('content/articles.json');
-      allArticles = await response.json();
-      renderArticles(allArticles);
+      const response = await fetch('content/index.json');
+      if (response.ok) {
+        const index = await response.json();
+        allArticles = index.articles;
+        shards = index.shards;
+        originLabels = index.origins || {};
+      } else {
+        allArticles = await (await fetch('content/articles.json')).json();
+        fullTextLoaded = true;
+      }
+      state = readState();
+      setupOrigins();
+      setupTags();
       setupFilters();
       setupSearch();
+      setupPagination();
+      setupTagLinks();
+      window.addEventListener('popstate', () => {
+        state = readState();
+        syncSearchInput();
+        syncControls();
+        applyFilters();
+      });
+      syncSearchInput();
+      syncControls();
+      applyFilters();
     } catch (error) {
       console.error('Failed to load archive:', error);
     }
   }
 
-  function renderArticles(articles) {
+  // ── URL state ────────────────────────────
+
+  function readState() {
+    const params = new URLSearchParams(window.location.search);
+    const page = parseInt(params.get('page'), 10);
+    const sort = params.get('sort');
+    const grid = document.getElementById('archive-grid');
+    const landingTag = grid && grid.dataset.tag && !/archive\.html$/.test(window.location.pathname) ? grid.dataset.tag : '';
+    return {
+      q: params.get('q') || '',
+      cats: (params.get('cat') || '').split(',').map(c => c.trim()).filter(c => CATEGORY_ICONS[c]),
+      tag: params.get('tag') || landingTag,
+      origin: params.get('origin') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      sort: SORTS.includes(sort) ? sort : '',
+      page: page > 1 ? page : 1
+    };
+  }
+
+  // Defaults are left out, so the plain archive stays archive.html.
+  // Always archive.html, also from a tag page (its <base> points at the site root).
+  // ?lang= is carried over, so a shared link opens in the edition it came from.
+  function stateQuery(s) {
+    const params = new URLSearchParams();
+    if (s.q) params.set('q', s.q);
+    if (s.cats.length) params.set('cat', s.cats.join(','));
+    if (s.tag) params.set('tag', s.tag);
+    if (s.origin) params.set('origin', s.origin);
+    if (s.from) params.set('from', s.from);
+    if (s.to) params.set('to', s.to);
+    if (s.sort) params.set('sort', s.sort);
+    if (s.page > 1) params.set('page', s.page);
+    const lang = window.location ? new URLSearchParams(window.location.search).get('lang') : null;
+    if (lang) params.set('lang', lang);
+    const query = params.toString();
+    return query ? `archive.html?${query}` : 'archive.html';
+  }
+
+  // push for discrete changes (a click), replace while typing
+  function updateState(changes, { replace = false } = {}) {
+    state = { ...state, page: 1, ...changes };
+    const url = stateQuery(state);
+    if (replace) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+    syncControls();
+    applyFilters();
+  }
+
+  // Relevance only means something when there is a query
+  function effectiveSort() {
+    if (state.sort) return state.sort === 'relevance' && !state.q ? 'newest' : state.sort;
+    return state.q ? 'relevance' : 'newest';
+  }
+
+  // Only on load and back/forward — never while the user is typing
+  function syncSearchInput() {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = state.q;
+  }
+
+  function syncControls() {
+    document.querySelectorAll('#category-filters .filter-btn').forEach(btn => {
+      const category = btn.dataset.category;
+      const active = category === 'הכל' ? state.cats.length === 0 : state.cats.includes(category);
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+
+    document.querySelectorAll('#tag-filters .tag-chip').forEach(chip => {
+      chip.classList.toggle('active', chip.dataset.tag === state.tag);
+    });
+
+    const title = document.getElementById('archive-title');
+    if (title) title.textContent = state.tag ? t('archive.tagTitle', { tag: state.tag }) : t('archive.title');
+
+    const values = { 'sort-select': effectiveSort(), 'origin-filter': state.origin, 'date-from': state.from, 'date-to': state.to };
+    for (const [id, value] of Object.entries(values)) {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    }
+
+    const relevance = document.querySelector('#sort-select option[value="relevance"]');
+    if (relevance) relevance.disabled = !state.q;
+  }
+
+  // ── Rendering ────────────────────────────
+
+  function renderArticles(articles, query) {
     const grid = document.getElementById('archive-grid');
     if (!grid) return;
 
@@ -37,49 +175,137 @@
       grid.innerHTML = `
         <div class="col-span-full empty-state">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>
-          <h3 class="text-lg font-bold mb-1">לא נמצאו כתבות</h3>
-          <p>נסו לשנות את החיפוש או הקטגוריה</p>
+          <h3 class="text-lg font-bold mb-1">${t('archive.empty')}</h3>
+          <p>${t('archive.emptyHint')}</p>
         </div>
       `;
       return;
     }
 
-    grid.innerHTML = articles.map(article => {
-      const catClass = 'cat-' + article.category.replace(/\s+/g, '-');
-      return `
-        <article class="article-card ${catClass}" data-animate>
-          <a href="article.html?id=${article.id}" class="block p-6">
-            <span class="card-category">${CATEGORY_ICONS[article.category] || ''} ${article.category}</span>
-            <h3 class="card-title">${article.title}</h3>
-            <p class="card-summary mt-2 line-clamp-3">${article.summary}</p>
+    grid.innerHTML = articles.map(article => archiveCardHTML(article, query)).join('');
+
+    if (window.initScrollReveal) window.initScrollReveal();
+  }
+
+  function archiveCardHTML(original, query) {
+    const article = localize(original);
+    const catClass = 'cat-' + article.category.replace(/\s+/g, '-');
+    const summary = article.summary || article.excerpt || '';
+    const mark = (text) => (query && window.hebrewSearch ? window.hebrewSearch.highlight(text, query, searchIndex) : text);
+    return `
+        <article class="article-card ${catClass}"${textAttrs(article)} data-animate>
+          <a href="article.html?id=${article.id}" class="block p-6 flex-1">
+            <div class="card-header">
+              <span class="card-category">${CATEGORY_ICONS[article.category] || ''} ${categoryLabel(article.category)}</span>
+              ${evidenceBadgeHTML(article.evidence)}
+            </div>
+            <h3 class="card-title">${mark(article.title)}</h3>
+            <p class="card-summary mt-2 line-clamp-3">${mark(summary)}</p>
             <div class="flex items-center justify-between mt-4">
-              <span class="card-date">${article.publishDate}</span>
+              <span class="card-date">${formatDate(article)}</span>
               <span class="card-read-more">
-                קרא עוד
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 12H5"/><path d="M12 19l-7-7 7-7"/></svg>
+                ${t('card.readMore')}
+                <svg class="arrow-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 12H5"/><path d="M12 19l-7-7 7-7"/></svg>
               </span>
             </div>
           </a>
+          ${tagChipsHTML(article.tags)}
         </article>
       `;
-    }).join('');
+  }
 
-    if (window.initScrollReveal) window.initScrollReveal();
+  // Study type + evidence strength (js/evidence.js)
+  function evidenceBadgeHTML(evidence) {
+    return window.studyEvidence ? window.studyEvidence.badgeHTML(evidence) : '';
+  }
+
+  // Topic chips, outside the card link; on this page they filter in place
+  function tagChipsHTML(tags) {
+    if (!tags || !tags.length) return '';
+    return `
+          <div class="card-tags">
+            ${tags.map(tag => `<a href="archive.html?tag=${encodeURIComponent(tag)}" class="tag-chip" data-tag="${tag}">#${tag}</a>`).join('')}
+          </div>`;
+  }
+
+  // Clamps the page and slices it out: { items, page, pageCount }
+  function paginate(articles, page) {
+    const pageCount = Math.max(1, Math.ceil(articles.length / PAGE_SIZE));
+    const current = Math.min(Math.max(1, page), pageCount);
+    return { items: articles.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE), page: current, pageCount };
   }
 
+  // Page links: first, last and two either side of the current page
+  function paginationHTML(page, pageCount, hrefFor = p => `archive.html?page=${p}`) {
+    if (pageCount <= 1) return '';
+    const link = (target, label) =>
+      `<a href="${hrefFor(target)}" data-page="${target}" class="page-btn">${label}</a>`;
+    const parts = [];
+    if (page > 1) parts.push(link(page - 1, t('archive.previous')));
+    let gap = false;
+    for (let p = 1; p <= pageCount; p++) {
+      if (p === 1 || p === pageCount || Math.abs(p - page) <= 2) {
+        parts.push(p === page ? `<span class="page-btn active" aria-current="page">${p}</span>` : link(p, p));
+        gap = false;
+      } else if (!gap) {
+        parts.push('<span class="page-gap">…</span>');
+        gap = true;
+      }
+    }
+    if (page < pageCount) parts.push(link(page + 1, t('archive.next')));
+    return parts.join('');
+  }
+
+  // ── Controls ─────────────────────────────
+
   function setupFilters() {
     const filterContainer = document.getElementById('category-filters');
-    if (!filterContainer) return;
-
-    const buttons = filterContainer.querySelectorAll('.filter-btn');
-    buttons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        buttons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        activeCategory = btn.dataset.category;
-        applyFilters();
+    if (filterContainer) {
+      filterContainer.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const category = btn.dataset.category;
+          if (category === 'הכל') {
+            updateState({ cats: [] });
+          } else {
+            const cats = state.cats.includes(category)
+              ? state.cats.filter(c => c !== category)
+              : [...state.cats, category];
+            updateState({ cats });
+          }
+        });
       });
-    });
+    }
+
+    const onChange = (id, key) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', () => updateState({ [key]: el.value }));
+    };
+    onChange('sort-select', 'sort');
+    onChange('origin-filter', 'origin');
+    onChange('date-from', 'from');
+    onChange('date-to', 'to');
+  }
+
+  // The most used tags, as a filter row above the grid
+  function setupTags() {
+    const container = document.getElementById('tag-filters');
+    if (!container) return;
+    const counts = new Map();
+    for (const tag of allArticles.flatMap(a => a.tags || [])) counts.set(tag, (counts.get(tag) || 0) + 1);
+    const top = [...counts].sort((a, b) => b[1] - a[1]).slice(0, TAG_FILTER_COUNT);
+    if (!top.length) return;
+    container.innerHTML = `<span class="text-sm text-gray-500 me-2">${t('archive.topics')}</span>` + top
+      .map(([tag, n]) => `<a href="archive.html?tag=${encodeURIComponent(tag)}" class="tag-chip" data-tag="${tag}">#${tag} <span class="tag-count">${n}</span></a>`)
+      .join('');
+  }
+
+  function setupOrigins() {
+    const select = document.getElementById('origin-filter');
+    if (!select) return;
+    const origins = [...new Set(allArticles.map(a => a.origin).filter(Boolean))].sort();
+    select.innerHTML = `<option value="">${t('archive.allOrigins')}</option>` + origins
+      .map(origin => `<option value="${origin}">${originLabels[origin] || origin}</option>`)
+      .join('');
   }
 
   function setupSearch() {
@@ -87,37 +313,179 @@
     if (!searchInput) return;
 
     let debounceTimer;
+    let typing = false;
     searchInput.addEventListener('input', () => {
       clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(applyFilters, 250);
+      debounceTimer = setTimeout(() => {
+        // One history entry per search, not per keystroke
+        updateState({ q: searchInput.value.trim() }, { replace: typing });
+        typing = true;
+      }, 250);
     });
+    searchInput.addEventListener('blur', () => { typing = false; });
   }
 
-  function applyFilters() {
-    const searchInput = document.getElementById('search-input');
-    const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+  // Tag chips in the filter row and on the cards toggle the tag without a reload
+  function setupTagLinks() {
+    ['tag-filters', 'archive-grid'].forEach(id => {
+      const container = document.getElementById(id);
+      if (!container) return;
+      container.addEventListener('click', (event) => {
+        const chip = event.target.closest('.tag-chip[data-tag]');
+        if (!chip) return;
+        event.preventDefault();
+        updateState({ tag: chip.dataset.tag === state.tag ? '' : chip.dataset.tag });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      });
+    });
+  }
 
-    let filtered = allArticles;
+  function setupPagination() {
+    const nav = document.getElementById('archive-pagination');
+    if (!nav) return;
+
+    nav.addEventListener('click', (event) => {
+      const link = event.target.closest('[data-page]');
+      if (!link) return;
+      event.preventDefault();
+      state = { ...state, page: parseInt(link.dataset.page, 10) };
+      history.pushState(null, '', stateQuery(state));
+      applyFilters();
+      const grid = document.getElementById('archive-grid');
+      if (grid) grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }
+
+  // ── Filtering ────────────────────────────
+
+  // Each month shard is fetched once; its full entries go into fullText by id.
+  function loadShard(shard) {
+    if (!shardLoads.has(shard)) {
+      shardLoads.set(shard, fetch(`content/articles/${shard}.json`)
+        .then(response => response.json())
+        .then(entries => entries.forEach(entry => fullText.set(entry.id, entry))));
+    }
+    return shardLoads.get(shard);
+  }
+
+  const withFullText = article => ({ ...article, ...fullText.get(article.id) });
+
+  // Summaries for the cards on screen: only the shards those articles are in
+  async function withSummaries(items) {
+    if (fullTextLoaded) return items;
+    try {
+      await Promise.all([...new Set(items.map(a => a.shard).filter(Boolean))].map(loadShard));
+    } catch (error) {
+      console.error('Failed to load article summaries:', error);
+    }
+    return items.map(withFullText);
+  }
+
+  // Pulls summary + bottomLine from every month shard when a search needs them.
+  async function loadFullText() {
+    if (fullTextLoaded) return;
+    await Promise.all(shards.map(loadShard));
+    allArticles = allArticles.map(withFullText);
+    fullTextLoaded = true;
+  }
 
-    if (activeCategory !== 'הכל') {
-      filtered = filtered.filter(a => a.category === activeCategory);
+  // Ranked search index, written next to the shards by the content store:
+  // the manifest once, then each term shard the first time a query needs it.
+  async function loadSearchIndex(query) {
+    if (!searchIndexTried) {
+      searchIndexTried = true;
+      if (!window.hebrewSearch) return;
+      try {
+        const response = await fetch('content/search.json');
+        if (response.ok) searchIndex = await response.json();
+      } catch (error) {
+        console.error('Failed to load search index:', error);
+      }
     }
+    if (!searchIndex) return;
+    await Promise.all(window.hebrewSearch.shardsFor(searchIndex, query).map(loadSearchShard));
+  }
 
-    if (query) {
-      filtered = filtered.filter(a =>
-        a.title.toLowerCase().includes(query) ||
-        a.summary.toLowerCase().includes(query) ||
-        a.bottomLine.toLowerCase().includes(query)
-      );
+  function loadSearchShard(key) {
+    if (!searchShardLoads.has(key)) {
+      searchShardLoads.set(key, fetch(`content/search/${key}.json`)
+        .then(response => response.json())
+        .then(terms => window.hebrewSearch.addTerms(searchIndex, terms))
+        .catch(error => {
+          searchShardLoads.delete(key);
+          console.error('Failed to load search shard:', error);
+        }));
     }
+    return searchShardLoads.get(key);
+  }
+
+  // addedAt is ISO; compare the YYYY-MM-DD part with the date inputs
+  const addedDay = article => (article.addedAt || '').slice(0, 10);
 
-    renderArticles(filtered);
+  async function applyFilters() {
+    const run = ++filterRun;
+    const query = state.q;
+
+    if (query) await loadSearchIndex(query);
+
+    if (query && !searchIndex && !fullTextLoaded) {
+      try {
+        await loadFullText();
+      } catch (error) {
+        console.error('Failed to load full text for search:', error);
+      }
+    }
+    if (run !== filterRun) return;
+
+    let filtered = allArticles;
+
+    if (state.cats.length) filtered = filtered.filter(a => state.cats.includes(a.category));
+    if (state.tag) filtered = filtered.filter(a => (a.tags || []).includes(state.tag));
+    if (state.origin) filtered = filtered.filter(a => a.origin === state.origin);
+    if (state.from) filtered = filtered.filter(a => addedDay(a) && addedDay(a) >= state.from);
+    if (state.to) filtered = filtered.filter(a => addedDay(a) && addedDay(a) <= state.to);
+
+    // Site order is newest first; relevance needs a query
+    if (query && searchIndex) {
+      const byId = new Map(filtered.map(a => [a.id, a]));
+      filtered = window.hebrewSearch.search(searchIndex, query).map(hit => byId.get(hit.id)).filter(Boolean);
+      if (effectiveSort() !== 'relevance') {
+        const order = new Map(allArticles.map((a, i) => [a.id, i]));
+        filtered.sort((a, b) => order.get(a.id) - order.get(b.id));
+      }
+    } else if (query) {
+      const needle = query.toLowerCase();
+      const matches = a =>
+        a.title.toLowerCase().includes(needle) ||
+        (a.summary || '').toLowerCase().includes(needle) ||
+        (a.bottomLine || '').toLowerCase().includes(needle);
+      filtered = filtered.filter(a => matches(a) || matches(localize(a)));
+    }
+    if (effectiveSort() === 'oldest') filtered = [...filtered].reverse();
+
+    const { items, page, pageCount } = paginate(filtered, state.page);
+    const shown = await withSummaries(items);
+    if (run !== filterRun) return;
+    state.page = page;
+    renderArticles(shown, query);
+
+    const nav = document.getElementById('archive-pagination');
+    if (nav) nav.innerHTML = paginationHTML(page, pageCount, p => stateQuery({ ...state, page: p }));
 
     // Update count
     const countEl = document.getElementById('results-count');
-    if (countEl) countEl.textContent = `${filtered.length} כתבות`;
+    if (countEl) {
+      countEl.textContent = pageCount > 1
+        ? t('archive.countPaged', { count: filtered.length, page, pages: pageCount })
+        : t('archive.count', { count: filtered.length });
+    }
   }
 
+  // Shared with the static build (scout/site.js)
+  window.renderArchiveCard = archiveCardHTML;
+  window.paginateArchive = paginate;
+  window.renderArchivePagination = paginationHTML;
+
   document.addEventListener('DOMContentLoaded', loadArchive);
 
 })();
@@ -1,6 +1,12 @@
 /* ============================================
    חיים ארוכים — Single Article Page
-   Loads article by ?id= param from articles.json
+   Loads article by ?id= param: content/index.json → month shard
+   (falls back to articles.json when the index isn't built).
+   articles/<slug>.html pages are pre-rendered by scout/site.js.
+   Related reading comes from js/related.js, the evidence
+   rating under the bottom line from js/evidence.js, strings
+   and article translations from js/i18n.js — in another
+   language the static pages re-render from their data-article-id.
    ============================================ */
 
 (function () {
@@ -14,9 +20,16 @@
     'גנטיקה': '🧬'
   };
 
+  const { t, localize, textAttrs, categoryLabel, formatDate } = window.i18n;
+
   async function loadArticle() {
     const params = new URLSearchParams(window.location.search);
-    const articleId = params.get('id');
+    const container = document.getElementById('article-container');
+    const staticId = container && container.dataset.articleId;
+
+    // Static pages (articles/<slug>.html) arrive already rendered by the build, in Hebrew
+    if (!params.get('id') && staticId && window.i18n.locale === window.i18n.defaultLocale) return;
+    const articleId = params.get('id') || staticId;
 
     if (!articleId) {
       showNotFound();
@@ -24,9 +37,10 @@
     }
 
     try {
-      const response = await fetch('content/articles.json');
-      const articles = await response.json();
-      const article = articles.find(a => a.id === articleId);
+      const [{ article, index }, related] = await Promise.all([
+        fetchArticle(articleId),
+        window.relatedArticles ? window.relatedArticles.load() : null
+      ]);
 
       if (!article) {
         showNotFound();
@@ -34,40 +48,65 @@
       }
 
       renderArticle(article);
-      renderRelated(articles.filter(a => a.id !== articleId).slice(0, 3));
-      document.title = `${article.title} — חיים ארוכים`;
+      renderRelated(pickRelated(article, index, related && related[article.id]));
+      document.title = t('article.title', { title: localize(article).title });
     } catch (error) {
       console.error('Failed to load article:', error);
       showNotFound();
     }
   }
 
+  // Index entries carry title/category/date for the related cards; the full
+  // article comes from its month shard.
+  async function fetchArticle(articleId) {
+    const indexResponse = await fetch('content/index.json');
+    if (!indexResponse.ok) {
+      const articles = await (await fetch('content/articles.json')).json();
+      return { article: articles.find(a => a.id === articleId), index: articles };
+    }
+
+    const index = (await indexResponse.json()).articles;
+    const entry = index.find(a => a.id === articleId);
+    if (!entry) return { article: null, index };
+
+    const shard = await (await fetch(`content/articles/${entry.shard}.json`)).json();
+    return { article: shard.find(a => a.id === articleId), index };
+  }
+
   function renderArticle(article) {
     const container = document.getElementById('article-container');
     if (!container) return;
 
-    container.innerHTML = `
+    container.innerHTML = articleHTML(article);
+
+    if (window.initScrollReveal) window.initScrollReveal();
+  }
+
+  function articleHTML(original) {
+    const article = localize(original);
+    const lang = textAttrs(article);
+    return `
       <!-- Category Badge -->
       <div class="mb-4">
         <span class="inline-block bg-green-50 text-green-800 text-sm font-medium px-3 py-1 rounded">
-          ${CATEGORY_ICONS[article.category] || ''} ${article.category}
+          ${CATEGORY_ICONS[article.category] || ''} ${categoryLabel(article.category)}
         </span>
       </div>
 
       <!-- Title -->
-      <h1 class="font-serif text-3xl md:text-4xl leading-tight font-bold text-gray-900 mb-4" style="font-family: var(--font-heading);">
+      <h1${lang} class="font-serif text-3xl md:text-4xl leading-tight font-bold text-gray-900 mb-4" style="font-family: var(--font-heading);">
         ${article.title}
       </h1>
 
       <!-- Meta -->
       <div class="flex items-center gap-4 text-sm text-gray-500 mb-8 pb-6 border-b border-gray-200">
-        <time>${article.publishDate}</time>
+        <time>${formatDate(article)}</time>
         <span class="text-gray-300">|</span>
-        <span>זמן קריאה: 3 דקות</span>
+        <span>${t('article.readingTime', { minutes: 3 })}</span>
       </div>
 
       <!-- Summary/Body -->
-      <div class="article-body mb-8">
+      <div class="article-body mb-8"${lang}>
         <p>${article.summary}</p>
       </div>
 
@@ -75,38 +114,48 @@
       <div class="bottom-line-box" data-animate>
         <div class="label flex items-center gap-2">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>
-          השורה התחתונה
+          ${t('common.bottomLine')}
         </div>
-        <p class="text">${article.bottomLine}</p>
+        <p class="text"${lang}>${article.bottomLine}</p>
+        ${window.studyEvidence ? window.studyEvidence.detailsHTML(article.evidence) : ''}
       </div>
 
       <!-- Source Link -->
       <div class="mt-8 pt-6 border-t border-gray-200">
         <a href="${article.sourceUrl}" target="_blank" rel="noopener noreferrer" class="source-link">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>
-          למקור המחקר המקורי
+          ${t('article.source')}
         </a>
       </div>
     `;
+  }
 
-    if (window.initScrollReveal) window.initScrollReveal();
+  // Precomputed related ids when known, else same-category articles
+  function pickRelated(article, articles, relatedIds) {
+    if (window.relatedArticles) return window.relatedArticles.pick(article, articles, relatedIds);
+    return articles.filter(a => a.id !== article.id && a.category === article.category).slice(0, 3);
   }
 
   function renderRelated(articles) {
     const container = document.getElementById('related-articles');
     if (!container || !articles.length) return;
 
-    container.innerHTML = articles.map(article => `
+    container.innerHTML = articles.map(relatedCardHTML).join('');
+
+    if (window.initScrollReveal) window.initScrollReveal();
+  }
+
+  function relatedCardHTML(original) {
+    const article = localize(original);
+    return `
       <a href="article.html?id=${article.id}" class="article-card block" data-animate>
         <div class="p-5">
-          <span class="card-category text-xs">${CATEGORY_ICONS[article.category] || ''} ${article.category}</span>
-          <h3 class="card-title text-base mt-1">${article.title}</h3>
-          <span class="card-date text-xs mt-2 block">${article.publishDate}</span>
+          <span class="card-category text-xs">${CATEGORY_ICONS[article.category] || ''} ${categoryLabel(article.category)}</span>
+          <h3 class="card-title text-base mt-1"${textAttrs(article)}>${article.title}</h3>
+          <span class="card-date text-xs mt-2 block">${formatDate(article)}</span>
         </div>
       </a>
-    `).join('');
-
-    if (window.initScrollReveal) window.initScrollReveal();
+    `;
   }
 
   function showNotFound() {
@@ -115,13 +164,18 @@
     container.innerHTML = `
       <div class="empty-state">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="12" cy="12" r="10"/><path d="M16 16s-1.5-2-4-2-4 2-4 2"/><line x1="9" y1="9" x2="9.01" y2="9"/><line x1="15" y1="9" x2="15.01" y2="9"/></svg>
-        <h2 class="text-xl font-bold mb-2">הכתבה לא נמצאה</h2>
-        <p>ייתכן שהכתבה הוסרה או שהקישור שגוי.</p>
-        <a href="index.html" class="inline-block mt-4 text-green-700 font-medium hover:underline">חזרה לעמוד הראשי</a>
+        <h2 class="text-xl font-bold mb-2">${t('article.notFound')}</h2>
+        <p>${t('article.notFoundHint')}</p>
+        <a href="index.html" class="inline-block mt-4 text-green-700 font-medium hover:underline">${t('article.backHome')}</a>
       </div>
     `;
   }
 
+  // Shared with the admin preview (admin/admin.js) and the static build (scout/site.js)
+  window.renderArticleBody = articleHTML;
+  window.renderRelatedCard = relatedCardHTML;
+  window.pickRelated = pickRelated;
+
   document.addEventListener('DOMContentLoaded', loadArticle);
 
 })();
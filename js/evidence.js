@@ -0,0 +1,51 @@
+/* ============================================
+   חיים ארוכים — Evidence Badges
+   Study type + evidence strength from
+   article.evidence (set by scout/evidence.js):
+   a compact badge for the cards and a details
+   row for the article page's bottom-line box
+   ============================================ */
+
+(function () {
+  'use strict';
+
+  const STUDY_TYPES = ['review', 'narrative-review', 'rct', 'cohort', 'animal', 'in-vitro', 'news'];
+
+  // Bars lit on the meter (of 4); labels and notes are evidence.* in js/i18n.js
+  const STRENGTH_LEVELS = { 'strong': 4, 'moderate': 3, 'limited': 2, 'preliminary': 1 };
+
+  const { t } = window.i18n;
+
+  function known(evidence) {
+    return Boolean(evidence && STUDY_TYPES.includes(evidence.studyType) && STRENGTH_LEVELS[evidence.strength]);
+  }
+
+  function sampleText(evidence) {
+    return evidence.sampleSize ? t('evidence.participants', { count: window.i18n.formatNumber(evidence.sampleSize) }) : '';
+  }
+
+  function meterHTML(level) {
+    return `<span class="evidence-meter" aria-hidden="true">${[1, 2, 3, 4].map(i => `<i class="${i <= level ? 'on' : ''}"></i>`).join('')}</span>`;
+  }
+
+  // Card badge: meter + study type; strength and sample size in the tooltip
+  function badgeHTML(evidence) {
+    if (!known(evidence)) return '';
+    const title = [t(`evidence.${evidence.strength}`), sampleText(evidence)].filter(Boolean).join(' · ');
+    return `<span class="evidence-badge evidence-${evidence.strength}" title="${title}">${meterHTML(STRENGTH_LEVELS[evidence.strength])}${t(`evidence.${evidence.studyType}`)}</span>`;
+  }
+
+  // Article page: strength, study type, sample size and what the rating means
+  function detailsHTML(evidence) {
+    if (!known(evidence)) return '';
+    const facts = [t(`evidence.${evidence.studyType}`), sampleText(evidence)].filter(Boolean).join(' · ');
+    return `
+        <div class="evidence-details evidence-${evidence.strength}">
+          <div class="evidence-heading">${meterHTML(STRENGTH_LEVELS[evidence.strength])}<strong>${t(`evidence.${evidence.strength}`)}</strong><span class="evidence-facts">${facts}</span></div>
+          <p class="evidence-note">${t(`evidence.note.${evidence.strength}`)}</p>
+        </div>`;
+  }
+
+  window.studyEvidence = { badgeHTML, detailsHTML };
+
+})();
@@ -1,7 +1,10 @@
 /* ============================================
    חיים ארוכים — Homepage Feed v2
    Premium Magazine Layout
-   Loads articles.json, renders hero + 3-col grid
+   Loads articles.json, renders hero + 3-col grid;
+   the hero's "more on this topic" links come from
+   js/related.js, evidence badges from js/evidence.js,
+   strings and article translations from js/i18n.js
    ============================================ */
 
 (function () {
@@ -16,18 +19,27 @@
     'גנטיקה': '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 15c6.667-6 13.333 0 20-6"/><path d="M9 22c1.798-1.998 2.518-3.995 2.807-5.993"/><path d="M15 2c-1.798 1.998-2.518 3.995-2.807 5.993"/></svg>'
   };
 
+  const { t, localize, textAttrs, categoryLabel, formatDate } = window.i18n;
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
   function getCategoryClass(category) {
     return 'cat-' + category.replace(/\s+/g, '-');
   }
 
   async function loadFeed() {
     try {
-      const response = await fetch('content/articles.json');
-      const articles = await response.json();
+      const [articles, related] = await Promise.all([
+        fetch('content/articles.json').then(response => response.json()),
+        window.relatedArticles ? window.relatedArticles.load() : null
+      ]);
 
       if (!articles || articles.length === 0) return;
 
-      renderHero(articles[0]);
+      const lead = articles[0];
+      renderHero(lead, moreOnTopic(lead, articles, related && related[lead.id]));
       renderGrid(articles.slice(1));
       updateStats(articles.length);
     } catch (error) {
@@ -35,34 +47,73 @@
     }
   }
 
-  function renderHero(article) {
-    const categoryEl = document.getElementById('hero-category');
-    const titleEl = document.getElementById('hero-title');
-    const summaryEl = document.getElementById('hero-summary');
-    const bottomLineEl = document.getElementById('hero-bottom-line');
-    const ctaEl = document.getElementById('hero-cta');
+  function moreOnTopic(article, articles, relatedIds) {
+    return window.relatedArticles ? window.relatedArticles.pick(article, articles, relatedIds) : [];
+  }
 
-    if (categoryEl) {
-      categoryEl.innerHTML = `${CATEGORY_SVG[article.category] || ''} ${article.category}`;
-    }
-    if (titleEl) titleEl.textContent = article.title;
-    if (summaryEl) summaryEl.textContent = article.summary;
-    if (bottomLineEl) bottomLineEl.textContent = article.bottomLine;
-    if (ctaEl) ctaEl.href = `article.html?id=${article.id}`;
+  function moreOnTopicHTML(articles) {
+    if (!articles.length) return '';
+    return `
+      <h3 class="hero-related-title">${t('feed.moreOnTopic')}</h3>
+      <ul class="hero-related-list">
+        ${articles.map(localize).map(a => `<li${textAttrs(a)}><a href="article.html?id=${encodeURIComponent(a.id)}">${escapeHtml(a.title)}</a></li>`).join('')}
+      </ul>
+    `;
+  }
+
+  // Hero slots in index.html, keyed by element id (also filled at build time);
+  // lang is the language of the article text, for renderHero to mark
+  function heroContent(original, related = []) {
+    const article = localize(original);
+    const lang = article.textLocale;
+    return {
+      'hero-category': { html: `${CATEGORY_SVG[article.category] || ''} ${categoryLabel(article.category)}` },
+      'hero-title': { text: article.title, lang },
+      'hero-summary': { text: article.summary, lang },
+      'hero-bottom-line': { text: article.bottomLine, lang },
+      'hero-cta': { href: `article.html?id=${article.id}` },
+      'hero-related': { html: moreOnTopicHTML(related) }
+    };
+  }
+
+  function renderHero(article, related) {
+    Object.entries(heroContent(article, related)).forEach(([id, content]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      if ('html' in content) el.innerHTML = content.html;
+      if ('text' in content) el.textContent = content.text;
+      if ('href' in content) el.href = content.href;
+      if ('lang' in content) {
+        el.lang = content.lang;
+        el.dir = window.i18n.dirOf(content.lang);
+      }
+    });
   }
 
   function renderGrid(articles) {
     const grid = document.getElementById('articles-grid');
     if (!grid) return;
 
-    grid.innerHTML = articles.map(article => `
-      <article class="article-card ${getCategoryClass(article.category)}" data-animate>
-        <a href="article.html?id=${article.id}" class="block p-5 md:p-6 flex flex-col h-full">
-          <!-- Category with SVG icon -->
-          <span class="card-category">
-            ${CATEGORY_SVG[article.category] || ''}
-            ${article.category}
-          </span>
+    grid.innerHTML = articles.map(renderCard).join('');
+
+    if (window.initScrollReveal) {
+      window.initScrollReveal();
+    }
+  }
+
+  function renderCard(original) {
+    const article = localize(original);
+    return `
+      <article class="article-card ${getCategoryClass(article.category)}"${textAttrs(article)} data-animate>
+        <a href="article.html?id=${article.id}" class="block p-5 md:p-6 flex flex-col flex-1">
+          <!-- Category with SVG icon, evidence badge -->
+          <div class="card-header">
+            <span class="card-category">
+              ${CATEGORY_SVG[article.category] || ''}
+              ${categoryLabel(article.category)}
+            </span>
+            ${evidenceBadgeHTML(article.evidence)}
+          </div>
 
           <!-- Title — larger -->
           <h3 class="card-title">${article.title}</h3>
@@ -82,19 +133,30 @@
 
           <!-- Footer -->
           <div class="flex items-center justify-between mt-4 pt-3 border-t border-gray-100">
-            <span class="card-date">${article.publishDate}</span>
+            <span class="card-date">${formatDate(article)}</span>
             <span class="card-read-more">
-              קרא עוד
-              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 12H5"/><path d="M12 19l-7-7 7-7"/></svg>
+              ${t('card.readMore')}
+              <svg class="arrow-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 12H5"/><path d="M12 19l-7-7 7-7"/></svg>
             </span>
           </div>
         </a>
+        ${tagChipsHTML(article.tags)}
       </article>
-    `).join('');
+    `;
+  }
 
-    if (window.initScrollReveal) {
-      window.initScrollReveal();
-    }
+  // Study type + evidence strength (js/evidence.js)
+  function evidenceBadgeHTML(evidence) {
+    return window.studyEvidence ? window.studyEvidence.badgeHTML(evidence) : '';
+  }
+
+  // Topic chips, outside the card link; each opens the tag's archive view
+  function tagChipsHTML(tags) {
+    if (!tags || !tags.length) return '';
+    return `
+        <div class="card-tags">
+          ${tags.map(tag => `<a href="archive.html?tag=${encodeURIComponent(tag)}" class="tag-chip">#${tag}</a>`).join('')}
+        </div>`;
   }
 
   function updateStats(total) {
@@ -102,6 +164,10 @@
     if (statEl) statEl.textContent = total;
   }
 
+  // Shared with the admin preview (admin/admin.js) and the static build (scout/site.js)
+  window.renderArticleCard = renderCard;
+  window.heroContent = heroContent;
+
   document.addEventListener('DOMContentLoaded', loadFeed);
 
 })();
@@ -0,0 +1,382 @@
+/* ============================================
+   חיים ארוכים — Languages
+   UI strings and text direction for the Hebrew
+   site and its English edition. The locale comes
+   from ?lang= (remembered in localStorage), then
+   the last choice, then Hebrew; <html data-locale>
+   pins it (the admin editor is Hebrew only).
+   Static text is marked data-i18n="key" (and
+   data-i18n-placeholder / data-i18n-label for
+   attributes); the renderers call t() and show
+   article.translations[locale] when there is one.
+   Loaded in <head> so the direction is set before
+   the page paints; scout/site.js runs it first too
+   ============================================ */
+
+(function () {
+  'use strict';
+
+  const LOCALES = {
+    'he': { name: 'עברית', dir: 'rtl', tag: 'he-IL' },
+    'en': { name: 'English', dir: 'ltr', tag: 'en-GB' }
+  };
+
+  // The language the pages and articles are written in
+  const DEFAULT_LOCALE = 'he';
+  const STORAGE_KEY = 'lang';
+
+  const STRINGS = {
+    'he': {
+      'site.name': 'חיים ארוכים',
+      'site.title': 'חיים ארוכים — חדשות בריאות ואריכות ימים',
+      'nav.home': 'ראשי',
+      'nav.archive': 'ארכיון',
+      'nav.about': 'אודות',
+      'nav.menu': 'תפריט',
+      'footer.tagline': 'חדשות בריאות ואריכות ימים מבוססות מחקר מדעי. מתעדכן אוטומטית כל יום.',
+      'footer.nav': 'ניווט',
+      'footer.archive': 'ארכיון כתבות',
+      'footer.rss': 'עדכונים ב-RSS',
+      'footer.sources': 'מקורות',
+      'footer.copyright': '© 2026 חיים ארוכים. אין לראות בתכנים ייעוץ רפואי.',
+      'footer.copyrightSources': '© 2026 חיים ארוכים. כל התכנים מבוססים על מקורות מדעיים ציבוריים. אין לראות בתכנים ייעוץ רפואי.',
+
+      'category.מחקר': 'מחקר',
+      'category.תזונה': 'תזונה',
+      'category.אורח חיים': 'אורח חיים',
+      'category.טכנולוגיה רפואית': 'טכנולוגיה רפואית',
+      'category.גנטיקה': 'גנטיקה',
+
+      'home.kicker': 'מבוסס מחקר מדעי · מתעדכן יומית',
+      'home.headline': 'מדע אריכות החיים, בעברית פשוטה',
+      'home.readFull': 'לכתבה המלאה',
+      'home.statArticles': 'כתבות',
+      'home.statSources': 'מקורות',
+      'home.statCategories': 'קטגוריות',
+      'home.latest': 'כתבות אחרונות',
+      'home.allArticles': 'כל הכתבות ←',
+      'home.byCategory': 'חקרו לפי קטגוריה',
+      'home.aboutTitle': 'מדע, לא טרנדים',
+      'home.aboutText': '"חיים ארוכים" מסכם עבורכם את המחקרים החשובים ביותר בתחום אריכות הימים — ישירות מכתבי העת המובילים בעולם, בעברית נגישה ומבוססת ראיות. כל כתבה כוללת שורה תחתונה פרקטית שאפשר ליישם.',
+      'home.aboutMore': 'עוד על הפרויקט',
+      'feed.moreOnTopic': 'עוד בנושא',
+
+      'card.readMore': 'קרא עוד',
+      'common.bottomLine': 'השורה התחתונה',
+
+      'article.pageTitle': 'כתבה — חיים ארוכים',
+      'article.title': '{title} — חיים ארוכים',
+      'article.breadcrumb': 'כתבה',
+      'article.readingTime': 'זמן קריאה: {minutes} דקות',
+      'article.source': 'למקור המחקר המקורי',
+      'article.more': 'כתבות נוספות',
+      'article.notFound': 'הכתבה לא נמצאה',
+      'article.notFoundHint': 'ייתכן שהכתבה הוסרה או שהקישור שגוי.',
+      'article.backHome': 'חזרה לעמוד הראשי',
+
+      'archive.pageTitle': 'ארכיון כתבות — חיים ארוכים',
+      'archive.title': 'ארכיון כתבות',
+      'archive.tagTitle': 'תגית: #{tag}',
+      'archive.subtitle': 'כל הכתבות שפורסמו באתר, ממוינות לפי תאריך',
+      'archive.search': 'חיפוש כתבות...',
+      'archive.filterBy': 'סנן לפי:',
+      'archive.all': 'הכל',
+      'archive.topics': 'נושאים:',
+      'archive.sort': 'מיון:',
+      'archive.newest': 'מהחדש לישן',
+      'archive.oldest': 'מהישן לחדש',
+      'archive.relevance': 'לפי רלוונטיות',
+      'archive.origin': 'מקור:',
+      'archive.allOrigins': 'כל המקורות',
+      'archive.from': 'מתאריך:',
+      'archive.to': 'עד:',
+      'archive.pages': 'עמודי הארכיון',
+      'archive.previous': 'הקודם',
+      'archive.next': 'הבא',
+      'archive.count': '{count} כתבות',
+      'archive.countPaged': '{count} כתבות · עמוד {page} מתוך {pages}',
+      'archive.empty': 'לא נמצאו כתבות',
+      'archive.emptyHint': 'נסו לשנות את החיפוש או הקטגוריה',
+
+      'evidence.review': 'סקירה שיטתית / מטה-אנליזה',
+      'evidence.narrative-review': 'סקירת ספרות',
+      'evidence.rct': 'ניסוי מבוקר אקראי',
+      'evidence.cohort': 'מחקר עוקבה',
+      'evidence.animal': 'מחקר בבעלי חיים',
+      'evidence.in-vitro': 'מחקר מעבדה',
+      'evidence.news': 'פרשנות',
+      'evidence.strong': 'ראיות חזקות',
+      'evidence.moderate': 'ראיות בינוניות',
+      'evidence.limited': 'ראיות מוגבלות',
+      'evidence.preliminary': 'ראיות ראשוניות',
+      'evidence.note.strong': 'מבוסס על ניסוי מבוקר או על סיכום שיטתי של מחקרים רבים.',
+      'evidence.note.moderate': 'מחקר בבני אדם עם מגבלות — למשל מחקר תצפיתי, שמראה קשר ולא בהכרח סיבה, או ניסוי קטן.',
+      'evidence.note.limited': 'מחקר קטן מאוד, סקירה שאינה שיטתית, או דיווח שאינו מציג מחקר משלו — כדאי להתייחס בזהירות.',
+      'evidence.note.preliminary': 'ממצא מהמעבדה או מבעלי חיים — עוד לא הוכח בבני אדם.',
+      'evidence.participants': '{count} משתתפים',
+
+      'about.pageTitle': 'אודות — חיים ארוכים',
+      'about.title': 'אודות "חיים ארוכים"',
+      'about.mission': 'המשימה שלנו',
+      'about.missionText': '"חיים ארוכים" הוא פורטל חדשות אוטומטי המתמקד במדע אריכות החיים, הבריאות וההזדקנות הבריאה. המטרה שלנו היא להנגיש את המחקר המדעי העדכני ביותר לקהל הישראלי — בעברית פשוטה, מדויקת ומבוססת ראיות.',
+      'about.missionText2': 'אנחנו מאמינים שמידע מדעי איכותי לא צריך להיות נגיש רק לקוראי אנגלית או לאנשי מקצוע. כל אחד ראוי להבין מה המדע אומר על האופן שבו אפשר לחיות ארוך יותר ובריא יותר.',
+      'about.how': 'איך זה עובד',
+      'about.collect': 'איסוף',
+      'about.collectText': 'מערכת אוטומטית סורקת מדי יום מקורות מדעיים מובילים: PubMed, ScienceDaily, Medical News Today ועוד.',
+      'about.process': 'עיבוד',
+      'about.processText': 'בינה מלאכותית מסכמת כל כתבה בעברית ובאנגלית, עם טון אופטימי אך מדויק — כולל שורה תחתונה פרקטית.',
+      'about.publish': 'פרסום',
+      'about.publishText': 'הכתבות מתפרסמות אוטומטית באתר. הכל שקוף — כל כתבה כוללת קישור למקור המקורי.',
+      'about.sources': 'המקורות שלנו',
+      'about.pubmed': 'מאגר המחקרים הרפואיים הגדול בעולם. מאמרים עם ביקורת עמיתים.',
+      'about.sciencedaily': 'סיכומי מחקרים חדשים מאוניברסיטאות ומכוני מחקר מובילים.',
+      'about.mnt': 'כתבות בריאות נגישות בשפה פשוטה, מבוססות על מחקר עדכני.',
+      'about.openalex': 'מאגר אקדמי פתוח עם גישה חופשית למיליוני מאמרים מדעיים.',
+      'about.googlenews': 'חדשות כלליות בנושאי אריכות ימים, אנטי-אייג\'ינג ובריאות.',
+      'about.disclaimer': 'הבהרה חשובה',
+      'about.disclaimerText': 'התכנים באתר זה מיועדים למטרות מידע כללי בלבד ואינם מהווים ייעוץ רפואי, אבחנה או המלצה לטיפול. לפני ביצוע שינויים באורח החיים, בתזונה או בטיפול רפואי — יש להתייעץ עם רופא מוסמך.'
+    },
+
+    'en': {
+      'site.name': 'Long Life',
+      'site.title': 'Long Life — Health and Longevity News',
+      'nav.home': 'Home',
+      'nav.archive': 'Archive',
+      'nav.about': 'About',
+      'nav.menu': 'Menu',
+      'footer.tagline': 'Health and longevity news grounded in scientific research. Updated automatically every day.',
+      'footer.nav': 'Navigation',
+      'footer.archive': 'Article archive',
+      'footer.rss': 'RSS updates',
+      'footer.sources': 'Sources',
+      'footer.copyright': '© 2026 Long Life. Nothing on this site is medical advice.',
+      'footer.copyrightSources': '© 2026 Long Life. All content is based on public scientific sources. Nothing on this site is medical advice.',
+
+      'category.מחקר': 'Research',
+      'category.תזונה': 'Nutrition',
+      'category.אורח חיים': 'Lifestyle',
+      'category.טכנולוגיה רפואית': 'Medical technology',
+      'category.גנטיקה': 'Genetics',
+
+      'home.kicker': 'Grounded in research · Updated daily',
+      'home.headline': 'The science of longevity, in plain English',
+      'home.readFull': 'Read the full story',
+      'home.statArticles': 'Articles',
+      'home.statSources': 'Sources',
+      'home.statCategories': 'Categories',
+      'home.latest': 'Latest articles',
+      'home.allArticles': 'All articles →',
+      'home.byCategory': 'Explore by category',
+      'home.aboutTitle': 'Science, not trends',
+      'home.aboutText': 'Long Life sums up the most important longevity research for you — straight from the world\'s leading journals, in clear, evidence-based language. Every article ends with a practical bottom line you can act on.',
+      'home.aboutMore': 'More about the project',
+      'feed.moreOnTopic': 'More on this topic',
+
+      'card.readMore': 'Read more',
+      'common.bottomLine': 'The bottom line',
+
+      'article.pageTitle': 'Article — Long Life',
+      'article.title': '{title} — Long Life',
+      'article.breadcrumb': 'Article',
+      'article.readingTime': 'Reading time: {minutes} minutes',
+      'article.source': 'Read the original research',
+      'article.more': 'More articles',
+      'article.notFound': 'Article not found',
+      'article.notFoundHint': 'It may have been removed, or the link is wrong.',
+      'article.backHome': 'Back to the home page',
+
+      'archive.pageTitle': 'Article archive — Long Life',
+      'archive.title': 'Article archive',
+      'archive.tagTitle': 'Tag: #{tag}',
+      'archive.subtitle': 'Everything published on the site, sorted by date',
+      'archive.search': 'Search articles...',
+      'archive.filterBy': 'Filter:',
+      'archive.all': 'All',
+      'archive.topics': 'Topics:',
+      'archive.sort': 'Sort:',
+      'archive.newest': 'Newest first',
+      'archive.oldest': 'Oldest first',
+      'archive.relevance': 'Most relevant',
+      'archive.origin': 'Source:',
+      'archive.allOrigins': 'All sources',
+      'archive.from': 'From:',
+      'archive.to': 'To:',
+      'archive.pages': 'Archive pages',
+      'archive.previous': 'Previous',
+      'archive.next': 'Next',
+      'archive.count': '{count} articles',
+      'archive.countPaged': '{count} articles · page {page} of {pages}',
+      'archive.empty': 'No articles found',
+      'archive.emptyHint': 'Try a different search or category',
+
+      'evidence.review': 'Systematic review / meta-analysis',
+      'evidence.narrative-review': 'Narrative review',
+      'evidence.rct': 'Randomized controlled trial',
+      'evidence.cohort': 'Cohort study',
+      'evidence.animal': 'Animal study',
+      'evidence.in-vitro': 'Lab study',
+      'evidence.news': 'Commentary',
+      'evidence.strong': 'Strong evidence',
+      'evidence.moderate': 'Moderate evidence',
+      'evidence.limited': 'Limited evidence',
+      'evidence.preliminary': 'Preliminary evidence',
+      'evidence.note.strong': 'Based on a controlled trial or on a systematic summary of many studies.',
+      'evidence.note.moderate': 'A study in people with limitations — for example an observational study, which shows a link but not necessarily a cause, or a small trial.',
+      'evidence.note.limited': 'A very small study, a review that isn\'t systematic, or a report with no study of its own — read with caution.',
+      'evidence.note.preliminary': 'A finding from the lab or from animals — not yet shown in people.',
+      'evidence.participants': '{count} participants',
+
+      'about.pageTitle': 'About — Long Life',
+      'about.title': 'About Long Life',
+      'about.mission': 'Our mission',
+      'about.missionText': 'Long Life is an automated news site about the science of longevity, health and healthy aging. Our goal is to make the latest research accessible — in plain, accurate, evidence-based language.',
+      'about.missionText2': 'We believe good science shouldn\'t be reserved for professionals. Everyone deserves to understand what the research says about living longer and healthier.',
+      'about.how': 'How it works',
+      'about.collect': 'Collect',
+      'about.collectText': 'Every day an automated system scans leading scientific sources: PubMed, ScienceDaily, Medical News Today and more.',
+      'about.process': 'Summarize',
+      'about.processText': 'AI summarizes each story in Hebrew and English, in an optimistic but accurate tone — with a practical bottom line.',
+      'about.publish': 'Publish',
+      'about.publishText': 'Articles are published on the site automatically. Everything is transparent — each article links to its original source.',
+      'about.sources': 'Our sources',
+      'about.pubmed': 'The world\'s largest database of medical research. Peer-reviewed papers.',
+      'about.sciencedaily': 'Summaries of new research from leading universities and institutes.',
+      'about.mnt': 'Accessible health reporting in plain language, based on current research.',
+      'about.openalex': 'An open academic index with free access to millions of scientific papers.',
+      'about.googlenews': 'General news on longevity, anti-aging and health.',
+      'about.disclaimer': 'Important',
+      'about.disclaimerText': 'The content on this site is for general information only and is not medical advice, diagnosis or a treatment recommendation. Talk to a qualified doctor before changing your lifestyle, diet or medical treatment.'
+    }
+  };
+
+  const root = document.documentElement;
+  const locale = detectLocale();
+
+  function detectLocale() {
+    if (root && LOCALES[root.dataset.locale]) return root.dataset.locale;
+    const requested = window.location ? new URLSearchParams(window.location.search).get('lang') : null;
+    if (LOCALES[requested]) {
+      remember(requested);
+      return requested;
+    }
+    const stored = recall();
+    return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  }
+
+  // localStorage is missing in the build sandbox and may throw in private windows
+  function remember(value) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, value);
+    } catch (error) {
+      // Not remembered; ?lang= still works per page
+    }
+  }
+
+  function recall() {
+    try {
+      return window.localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ── Strings ──────────────────────────────
+
+  // t('archive.count', { count: 12 }) — falls back to Hebrew, then the key
+  function t(key, vars = {}) {
+    const text = STRINGS[locale][key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  const categoryLabel = category => t(`category.${category}`);
+
+  const formatNumber = value => Number(value).toLocaleString(LOCALES[locale].tag);
+
+  // publishDate is the stored Hebrew display string; other locales format addedAt
+  function formatDate(article) {
+    if (locale === DEFAULT_LOCALE || !article.addedAt) return article.publishDate;
+    return new Date(article.addedAt).toLocaleDateString(LOCALES[locale].tag, { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  // ── Articles ─────────────────────────────
+
+  /**
+   * The article with title / summary / bottomLine (just the title for
+   * index entries) in the current locale when it has a translation, and
+   * textLocale saying which language they ended up in.
+   */
+  function localize(article) {
+    const original = article.locale || DEFAULT_LOCALE;
+    const translation = original !== locale && article.translations && article.translations[locale];
+    return translation ? { ...article, ...translation, textLocale: locale } : { ...article, textLocale: original };
+  }
+
+  const dirOf = lang => (LOCALES[lang] || LOCALES[DEFAULT_LOCALE]).dir;
+
+  // lang/dir attributes for article text that isn't in the page's language
+  function textAttrs(article) {
+    const textLocale = article.textLocale || article.locale || DEFAULT_LOCALE;
+    return textLocale === locale ? '' : ` lang="${textLocale}" dir="${dirOf(textLocale)}"`;
+  }
+
+  // ── Page ─────────────────────────────────
+
+  function applyDirection() {
+    if (!root || root.dataset.locale) return;
+    root.lang = locale;
+    root.dir = LOCALES[locale].dir;
+  }
+
+  // The markup is written in Hebrew, so only other locales need replacing
+  function translatePage() {
+    if (locale === DEFAULT_LOCALE) return;
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    document.querySelectorAll('[data-i18n-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nLabel)); });
+  }
+
+  // The same page (article, filters and all) in the other language
+  function switchUrl(target) {
+    const url = new URL(window.location.href);
+    if (target === DEFAULT_LOCALE) url.searchParams.delete('lang');
+    else url.searchParams.set('lang', target);
+    return url.href;
+  }
+
+  // Links marked data-lang-switch toggle between the two languages; the URL is
+  // read on click, so filters changed since the page loaded are kept
+  function setupSwitcher() {
+    const target = locale === DEFAULT_LOCALE ? 'en' : DEFAULT_LOCALE;
+    document.querySelectorAll('[data-lang-switch]').forEach(link => {
+      link.textContent = LOCALES[target].name;
+      link.lang = target;
+      link.href = switchUrl(target);
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        remember(target);
+        window.location.href = switchUrl(target);
+      });
+    });
+  }
+
+  window.i18n = {
+    locale,
+    dir: LOCALES[locale].dir,
+    locales: Object.keys(LOCALES),
+    defaultLocale: DEFAULT_LOCALE,
+    t,
+    categoryLabel,
+    formatNumber,
+    formatDate,
+    localize,
+    dirOf,
+    textAttrs
+  };
+
+  applyDirection();
+  document.addEventListener('DOMContentLoaded', () => {
+    translatePage();
+    setupSwitcher();
+  });
+
+})();
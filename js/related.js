@@ -0,0 +1,48 @@
+/* ============================================
+   חיים ארוכים — Related Reading
+   Picks related articles from content/related.json
+   (precomputed by scout/related.js), topped up with
+   same-category articles when the list is short or
+   missing. Used by the article page and the
+   homepage hero
+   ============================================ */
+
+(function () {
+  'use strict';
+
+  const RELATED_COUNT = 3;
+
+  let loading = null;
+
+  // { id: [relatedId, ...] }, or null when related.json isn't built
+  function load() {
+    if (!loading) {
+      loading = fetch('content/related.json')
+        .then(response => (response.ok ? response.json() : null))
+        .catch(error => {
+          console.error('Failed to load related articles:', error);
+          return null;
+        });
+    }
+    return loading;
+  }
+
+  /**
+   * Up to `count` entries of `articles` related to `article`: the precomputed
+   * ids first (relatedIds, or article.related), then the newest articles of
+   * the same category.
+   */
+  function pick(article, articles, relatedIds, count = RELATED_COUNT) {
+    const byId = new Map(articles.map(a => [a.id, a]));
+    const picked = (relatedIds || article.related || []).map(id => byId.get(id)).filter(Boolean);
+
+    for (const other of articles) {
+      if (picked.length >= count) break;
+      if (other.id !== article.id && other.category === article.category && !picked.includes(other)) picked.push(other);
+    }
+    return picked.slice(0, count);
+  }
+
+  window.relatedArticles = { load, pick };
+
+})();
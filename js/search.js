@@ -0,0 +1,247 @@
+/* ============================================
+   חיים ארוכים — Hebrew Search
+   Normalization, inverted index and ranking shared by
+   the archive (js/archive.js) and the content store,
+   which writes content/search.json and the term shards
+   content/search/<key>.json (scout/search.js)
+   ============================================ */
+
+(function () {
+  'use strict';
+
+  const INDEX_VERSION = 2;
+
+  // Field weights: a hit in the title counts three times a hit in the summary
+  const FIELDS = { title: 3, bottomLine: 2, tags: 2, category: 1.5, summary: 1 };
+
+  // How much a match through each kind of term is worth
+  const TERM_WEIGHTS = { word: 1, prefix: 0.7, partial: 0.5 };
+
+  // Terms are sharded by their first two characters
+  const SHARD_KEY_LENGTH = 2;
+
+  const PREFIXES = 'הובלמשכ';
+  const SUFFIXES = ['יות', 'ים', 'ות', 'ית', 'תי', 'יה', 'י', 'ה', 'ת'];
+  const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+  const MIN_STEM = 3;
+
+  // Already normalized (final letters folded)
+  const STOP_WORDS = new Set([
+    'של', 'את', 'על', 'עמ', 'זה', 'זו', 'הוא', 'היא', 'המ', 'כי', 'לא', 'גמ', 'או', 'אמ', 'כל', 'יש', 'בינ', 'אשר', 'מה',
+    'the', 'of', 'and', 'in', 'a', 'an', 'to', 'for', 'on', 'with', 'is'
+  ]);
+
+  // ── Normalization ───────────────────────────
+
+  // Lowercase, no niqqud/cantillation, no geresh/gershayim or quotes, final letters folded
+  function normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[\u0591-\u05C7]/g, '')
+      .replace(/[\u05F3\u05F4'"`]/g, '')
+      .replace(/[ךםןףץ]/g, ch => FINAL_LETTERS[ch]);
+  }
+
+  function tokenize(text) {
+    return normalize(text).split(/[^a-z0-9\u05D0-\u05EA]+/).filter(Boolean);
+  }
+
+  const isHebrew = token => /^[\u05D0-\u05EA]+$/.test(token);
+
+  // Stems of the content words, e.g. for comparing articles (scout/related.js)
+  function keywords(text) {
+    return tokenize(text).filter(token => !STOP_WORDS.has(token) && token.length > 1).map(token => {
+      let rest = token;
+      for (let i = 0; i < 2 && isHebrew(rest) && PREFIXES.includes(rest[0]) && rest.length - 1 > MIN_STEM; i++) rest = rest.slice(1);
+      return stem(rest);
+    });
+  }
+
+  function stem(token) {
+    if (!isHebrew(token)) {
+      return token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token;
+    }
+    let result = token;
+    const suffix = SUFFIXES.find(s => result.endsWith(s) && result.length - s.length >= MIN_STEM);
+    if (suffix) result = result.slice(0, -suffix.length);
+    // Construct state: תזונת(י) → תזונ, the same stem as תזונה
+    if (result.endsWith('ת') && result.length - 1 >= MIN_STEM) result = result.slice(0, -1);
+    return result;
+  }
+
+  /**
+   * Index terms for one token, each with its kind: the token's stem, and the
+   * stems left after stripping up to two prefix letters (ו, ה, ב, ל, מ, ש, כ).
+   * Only stems are indexed; the same rules applied to the query find them.
+   */
+  function indexTerms(token) {
+    const found = new Map([[stem(token), 'word']]);
+    if (isHebrew(token)) {
+      let rest = token;
+      for (let i = 0; i < 2 && PREFIXES.includes(rest[0]) && rest.length - 1 >= MIN_STEM; i++) {
+        rest = rest.slice(1);
+        if (!found.has(stem(rest))) found.set(stem(rest), 'prefix');
+      }
+    }
+    return found;
+  }
+
+  // Shard file name for a term: its first characters as hex code points, e.g. "5ea-5d6"
+  function shardKey(term) {
+    return [...term].slice(0, SHARD_KEY_LENGTH).map(ch => ch.codePointAt(0).toString(16)).join('-');
+  }
+
+  // ── Index ───────────────────────────────────
+
+  // Sorted term list per index, for prefix lookups on the word being typed
+  const sortedTerms = new WeakMap();
+
+  /**
+   * Builds { version, ids, terms } where terms maps each term to a flat
+   * [docIndex, score, docIndex, score, ...] posting list. The content store
+   * writes it as { version, ids, shards } plus one file of terms per shardKey.
+   */
+  function buildIndex(articles) {
+    const postings = new Map();
+
+    articles.forEach((article, doc) => {
+      const scores = new Map();
+      for (const [field, weight] of Object.entries(FIELDS)) {
+        const value = Array.isArray(article[field]) ? article[field].join(' ') : article[field];
+        for (const token of tokenize(value)) {
+          if (STOP_WORDS.has(token)) continue;
+          for (const [term, kind] of indexTerms(token)) {
+            scores.set(term, (scores.get(term) || 0) + weight * TERM_WEIGHTS[kind]);
+          }
+        }
+      }
+      for (const [term, score] of scores) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(doc, Math.round(score * 10) / 10);
+      }
+    });
+
+    const sorted = {};
+    for (const term of [...postings.keys()].sort()) sorted[term] = postings.get(term);
+    return { version: INDEX_VERSION, ids: articles.map(a => a.id), terms: sorted };
+  }
+
+  // Adds the terms of a fetched shard to an index loaded from its manifest.
+  function addTerms(index, shardTerms) {
+    index.terms = Object.assign(index.terms || {}, shardTerms);
+    sortedTerms.delete(index);
+  }
+
+  // ── Query ───────────────────────────────────
+
+  function termsStartingWith(index, prefix) {
+    if (!sortedTerms.has(index)) sortedTerms.set(index, Object.keys(index.terms || {}).sort());
+    const sorted = sortedTerms.get(index);
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+    const found = [];
+    for (let i = low; i < sorted.length && sorted[i].startsWith(prefix); i++) found.push(sorted[i]);
+    return found;
+  }
+
+  /**
+   * Query terms per query word: Map(term → weight). The last word also matches
+   * as a prefix, so results keep up while the user is still typing.
+   */
+  function queryTerms(index, query) {
+    const words = tokenize(query).filter(token => !STOP_WORDS.has(token));
+    return words.map((token, i) => {
+      const weights = new Map();
+      for (const [term, kind] of indexTerms(token)) weights.set(term, TERM_WEIGHTS[kind]);
+      if (index && i === words.length - 1 && token.length >= 2) {
+        for (const term of termsStartingWith(index, token)) {
+          if (!weights.has(term)) weights.set(term, TERM_WEIGHTS.partial);
+        }
+      }
+      return weights;
+    });
+  }
+
+  /**
+   * The shard keys a query needs: the shards of its terms, and of the last
+   * word itself for prefix matches. Only keys the manifest lists are returned.
+   */
+  function shardsFor(index, query) {
+    const words = tokenize(query).filter(token => !STOP_WORDS.has(token));
+    const keys = new Set(queryTerms(null, query).flatMap(weights => [...weights.keys()].map(shardKey)));
+    const last = words[words.length - 1];
+    if (last && last.length >= 2) keys.add(shardKey(last));
+    const available = new Set(index.shards || []);
+    return [...keys].filter(key => available.has(key));
+  }
+
+  /**
+   * Ranks articles for a query: every query word has to match (through any of
+   * its variants); scores add up field weights × variant weights × idf.
+   * Returns [{ id, score }] best first.
+   */
+  function search(index, query) {
+    const words = queryTerms(index, query);
+    if (!words.length) return [];
+
+    const total = index.ids.length;
+    let scores = null;
+
+    for (const weights of words) {
+      const best = new Map();
+      for (const [term, weight] of weights) {
+        const list = (index.terms || {})[term];
+        if (!list) continue;
+        const idf = Math.log(1 + total / (list.length / 2));
+        for (let i = 0; i < list.length; i += 2) {
+          const score = list[i + 1] * weight * idf;
+          if (score > (best.get(list[i]) || 0)) best.set(list[i], score);
+        }
+      }
+      if (scores === null) {
+        scores = best;
+      } else {
+        const next = new Map();
+        for (const [doc, score] of scores) {
+          if (best.has(doc)) next.set(doc, score + best.get(doc));
+        }
+        scores = next;
+      }
+      if (!scores.size) return [];
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .map(([doc, score]) => ({ id: index.ids[doc], score }));
+  }
+
+  // ── Highlighting ────────────────────────────
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  /**
+   * Escapes `text` and wraps every word that matches the query in
+   * <mark class="search-hit">. Works on whole words of the original text,
+   * so niqqud and prefixes stay visible.
+   */
+  function highlight(text, query, index) {
+    const wanted = new Set(queryTerms(index, query).flatMap(weights => [...weights.keys()]));
+    if (!wanted.size) return escapeHtml(text);
+
+    return String(text || '').split(/([A-Za-z0-9\u0590-\u05FF']+)/).map((part, i) => {
+      if (i % 2 === 0) return escapeHtml(part);
+      const hit = tokenize(part).some(token => [...indexTerms(token).keys()].some(term => wanted.has(term)));
+      return hit ? `<mark class="search-hit">${escapeHtml(part)}</mark>` : escapeHtml(part);
+    }).join('');
+  }
+
+  window.hebrewSearch = { normalize, tokenize, stem, keywords, indexTerms, shardKey, buildIndex, addTerms, shardsFor, search, highlight };
+
+})();
@@ -0,0 +1,274 @@
+/**
+ * admin.js — Local editor UI for drafts and published articles.
+ *
+ *   node auto-scout.js admin [--port=4321]
+ *
+ * Serves admin/index.html on 127.0.0.1 only, next to the site's own css/ and
+ * js/ so previews use the real feed.js / article.js markup. No external
+ * services are involved except the summarizer backend for "re-summarize".
+ *
+ * API (JSON):
+ *   GET  /api/state                              — drafts, published articles, categories
+ *   PUT  /api/drafts/:id, /api/articles/:id      — save title/summary/bottomLine/category/tags/translations
+ *   POST /api/drafts/:id/approve                 — { override } to approve a draft held by the safety check
+ *   POST /api/drafts/:id/reject                  — { reason }
+ *   POST /api/publish                            — move approved drafts into the articles file
+ *   POST /api/drafts/:id/resummarize, /api/articles/:id/resummarize
+ *                                                — returns a fresh summary without saving it
+ *
+ * Every save goes through the same validation as `review edit` (scout/review.js)
+ * and runs under the content store lock (scout/store.js).
+ *
+ * Requests must name the server itself as Host (127.0.0.1 or localhost on the
+ * admin port) and, when the browser sends an Origin, come from that host too —
+ * so other web pages can't reach it, directly or by DNS rebinding. API calls
+ * other than GET must be sent as application/json, which a cross-site form
+ * can't do without a CORS preflight the server never answers.
+ */
+
+import { createServer } from "http";
+import { readFileSync, existsSync, statSync } from "fs";
+import { resolve, dirname, extname, sep } from "path";
+import { fileURLToPath } from "url";
+import { CATEGORIES } from "./validate.js";
+import { applyEdits } from "./review.js";
+import { canonicalizeCandidate } from "./dedupe.js";
+import { enrichCandidates } from "./enrich.js";
+import { summarizeCandidates } from "./summarize.js";
+import { loadTopics, tagArticle } from "./topics.js";
+import { loadArticles, saveArticles, withLock } from "./store.js";
+import { formatFlag } from "./safety.js";
+import {
+  loadDrafts,
+  saveDrafts,
+  loadRejected,
+  saveRejected,
+  findDraft,
+  rejectionRecord,
+  publishApproved,
+  approveDraft,
+  EDITABLE_FIELDS,
+} from "./drafts.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+const STATIC_DIRS = ["admin", "css", "js", "content"];
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+class HttpError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "content-type": MIME_TYPES[".json"], "cache-control": "no-store" });
+  res.end(JSON.stringify(data));
+}
+
+function serveStatic(res, pathname) {
+  const relative = pathname === "/" ? "admin/index.html" : decodeURIComponent(pathname.slice(1));
+  const path = resolve(ROOT, relative);
+  const allowed = STATIC_DIRS.some((dir) => path.startsWith(resolve(ROOT, dir) + sep));
+  if (!allowed || !existsSync(path) || !statSync(path).isFile()) {
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("not found");
+    return;
+  }
+  res.writeHead(200, { "content-type": MIME_TYPES[extname(path)] || "application/octet-stream", "cache-control": "no-store" });
+  res.end(readFileSync(path));
+}
+
+// Host and Origin must be this server; see the header comment.
+function checkRequest(req, port) {
+  const hosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!hosts.includes(req.headers.host)) throw new HttpError(403, `Unexpected Host "${req.headers.host || ""}"`);
+  const { origin } = req.headers;
+  if (origin !== undefined && !hosts.some((host) => origin === `http://${host}`)) {
+    throw new HttpError(403, `Cross-origin request from "${origin}" refused`);
+  }
+}
+
+async function readBody(req) {
+  const type = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "application/json") throw new HttpError(415, "Requests must be sent as application/json");
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+  } catch (e) {
+    throw new HttpError(400, `Invalid JSON: ${e.message}`);
+  }
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter((f) => f in body).map((f) => [f, body[f]]));
+}
+
+function validated(entry, body) {
+  try {
+    return applyEdits(entry, pickEditable(body));
+  } catch (e) {
+    throw new HttpError(422, e.message, e.errors || [e.message]);
+  }
+}
+
+function findEntry(find) {
+  try {
+    return find();
+  } catch (e) {
+    throw new HttpError(404, e.message);
+  }
+}
+
+// Rebuilds the scout candidate a stored entry was summarized from.
+async function candidateFor(entry, { enrich }) {
+  const candidate = await canonicalizeCandidate({
+    title: entry.originalTitle || entry.title,
+    source: entry.sourceName || entry.origin || "",
+    link: entry.sourceUrl,
+    pubDate: entry.publishedAt || "",
+    origin: entry.origin,
+    categoryHint: entry.category,
+    ...(entry.doi ? { doi: entry.doi } : {}),
+    ...(entry.pmid ? { pmid: entry.pmid } : {}),
+  });
+  return enrich ? (await enrichCandidates([candidate]))[0] : candidate;
+}
+
+/**
+ * Starts the admin server; resolves with it once it is listening, rejects when
+ * the port can't be used. `summarizer` and `prompt` are factories, called
+ * only when "re-summarize" is used, so the UI works without an API key.
+ */
+export function startAdminServer({ port = 4321, contentPath, draftsPath, rejectedPath, summarizer, prompt, enrich = true }) {
+  const locked = (handler) => (...args) => withLock(contentPath, () => handler(...args));
+
+  const routes = [
+    ["GET", /^\/api\/state$/, () => ({
+      categories: CATEGORIES,
+      drafts: loadDrafts(draftsPath),
+      articles: loadArticles(contentPath),
+    })],
+
+    ["PUT", /^\/api\/drafts\/([\w-]+)$/, locked((id, body) => {
+      const drafts = loadDrafts(draftsPath);
+      const draft = findEntry(() => findDraft(drafts, id));
+      const next = validated(draft, body);
+      drafts[drafts.indexOf(draft)] = next;
+      saveDrafts(drafts, draftsPath);
+      return next;
+    })],
+
+    ["PUT", /^\/api\/articles\/([\w-]+)$/, locked((id, body) => {
+      const articles = loadArticles(contentPath);
+      const index = articles.findIndex((a) => a.id === id);
+      if (index === -1) throw new HttpError(404, `No article with id "${id}"`);
+      articles[index] = validated(articles[index], body);
+      saveArticles(contentPath, articles);
+      return articles[index];
+    })],
+
+    ["POST", /^\/api\/drafts\/([\w-]+)\/approve$/, locked((id, body) => {
+      const drafts = loadDrafts(draftsPath);
+      const draft = findEntry(() => findDraft(drafts, id));
+      try {
+        approveDraft(draft, { override: body.override === true });
+      } catch (e) {
+        throw new HttpError(409, e.message, (draft.safetyFlags || []).map(formatFlag));
+      }
+      saveDrafts(drafts, draftsPath);
+      return draft;
+    })],
+
+    ["POST", /^\/api\/drafts\/([\w-]+)\/reject$/, locked((id, body) => {
+      if (!body.reason || !String(body.reason).trim()) throw new HttpError(422, "A rejection reason is required", ["reason is missing"]);
+      const drafts = loadDrafts(draftsPath);
+      const draft = findEntry(() => findDraft(drafts, id));
+      const rejected = loadRejected(rejectedPath);
+      rejected.push(rejectionRecord(draft, String(body.reason).trim()));
+      saveRejected(rejected, rejectedPath);
+      saveDrafts(drafts.filter((d) => d !== draft), draftsPath);
+      return { rejected: draft.id };
+    })],
+
+    ["POST", /^\/api\/publish$/, locked(() => {
+      const { articles, published, remaining } = publishApproved(loadDrafts(draftsPath), loadArticles(contentPath));
+      if (published.length > 0) {
+        saveArticles(contentPath, articles);
+        saveDrafts(remaining, draftsPath);
+      }
+      return { published: published.map((a) => a.id) };
+    })],
+
+    ["POST", /^\/api\/(drafts|articles)\/([\w-]+)\/resummarize$/, async (kind, id) => {
+      const entries = kind === "drafts" ? loadDrafts(draftsPath) : loadArticles(contentPath);
+      const entry = entries.find((e) => e.id === id);
+      if (!entry) throw new HttpError(404, `No ${kind === "drafts" ? "draft" : "article"} with id "${id}"`);
+
+      const activeSummarizer = summarizer();
+      const activePrompt = prompt();
+      const result = await summarizeCandidates([await candidateFor(entry, { enrich })], activeSummarizer, activePrompt);
+      if (result.articles.length === 0) {
+        const errors = [...result.dropped.flatMap((d) => d.errors), ...result.unprocessed.map((u) => u.error)];
+        throw new HttpError(502, "The summarizer did not return a valid summary", errors);
+      }
+      const { title, summary, bottomLine, category, translations } = result.articles[0];
+      const tags = tagArticle(result.articles[0], loadTopics());
+      return { suggestion: { title, summary, bottomLine, category, tags, translations }, promptVersion: activePrompt.id, model: activeSummarizer.model };
+    }],
+  ];
+
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      checkRequest(req, server.address().port);
+      if (!pathname.startsWith("/api/")) {
+        if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+        serveStatic(res, pathname);
+        return;
+      }
+
+      for (const [method, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (!match || req.method !== method) continue;
+        const body = method === "GET" ? {} : await readBody(req);
+        sendJson(res, 200, await handler(...match.slice(1), body));
+        return;
+      }
+      throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.error(`  ${req.method} ${pathname}: ${e.message}`);
+      sendJson(res, e.status || 500, { error: e.message, errors: e.errors || [] });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const onError = (e) => {
+      reject(e.code === "EADDRINUSE" ? new Error(`Port ${port} is already in use — stop what is running there or try --port=<another port>`) : e);
+    };
+    server.once("error", onError);
+    server.listen(port, "127.0.0.1", () => {
+      server.off("error", onError);
+      console.log(`Admin UI: http://127.0.0.1:${port}/  (Ctrl+C to stop)`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,234 @@
+/**
+ * dedupe.js — Canonical identifiers and fuzzy deduplication for scouted candidates.
+ *
+ * Candidates are matched against stored articles by canonical URL, DOI, PMID
+ * and (English) original title, then clustered within the run so the same
+ * study reported by several outlets is summarized once.
+ */
+
+import { httpFetch } from "./http.js";
+
+export const TITLE_SIMILARITY_THRESHOLD = 0.55;
+
+const TRACKING_PARAMS = new Set([
+  "fbclid", "gclid", "dclid", "msclkid", "mc_cid", "mc_eid", "igshid", "_ga",
+  "oc", "ref", "ref_src", "rss", "cmpid", "ito", "sc_cid", "s_cid", "soc_src", "soc_trk",
+]);
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "in", "on", "for", "to", "with", "by", "from", "at", "as",
+  "is", "are", "was", "were", "be", "been", "its", "it", "this", "that", "these", "those",
+  "new", "study", "finds", "find", "found", "shows", "show", "suggests", "research", "researchers", "scientists",
+  "may", "could", "can", "how", "why", "what", "among", "into", "about", "than",
+]);
+
+// ── Identifiers ──────────────────────────────────────────
+
+export function normalizeDoi(value) {
+  if (!value) return "";
+  const match = String(value)
+    .trim()
+    .replace(/^doi:\s*/i, "")
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")
+    .match(/^10\.\d{4,9}\/\S+$/);
+  return match ? decodeURIComponent(match[0]).toLowerCase().replace(/[.,;]+$/, "") : "";
+}
+
+export function pmidFromUrl(url) {
+  const match = String(url || "").match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/i) || String(url || "").match(/ncbi\.nlm\.nih\.gov\/pubmed\/(\d+)/i);
+  return match ? match[1] : "";
+}
+
+export function canonicalizeUrl(url) {
+  if (!url) return "";
+  const doi = normalizeDoi(url);
+  if (doi) return `doi:${doi}`;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return url.trim().replace(/\/+$/, "").toLowerCase();
+  }
+
+  parsed.protocol = "https:";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, "");
+  parsed.hash = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (key.toLowerCase().startsWith("utm_") || TRACKING_PARAMS.has(key.toLowerCase())) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+  parsed.pathname = parsed.pathname.replace(/\/amp\/?$/, "/").replace(/\/+$/, "") || "/";
+
+  return parsed.toString().replace(/\/$/, "").toLowerCase();
+}
+
+// ── Google News redirect links ───────────────────────────
+
+function decodeGoogleNewsId(id) {
+  try {
+    const bytes = Buffer.from(id.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("latin1");
+    const match = bytes.match(/https?:\/\/[\x21-\x7e]+/);
+    return match ? match[0] : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Older Google News ids embed the publisher URL directly; newer ones need the
+ * article page, which carries it in `data-n-au`.
+ */
+export async function resolveGoogleNewsUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.hostname !== "news.google.com") return url;
+
+  const id = parsed.pathname.split("/").pop();
+  const decoded = decodeGoogleNewsId(id);
+  if (decoded && !decoded.includes("news.google.com")) return decoded;
+
+  try {
+    const res = await httpFetch(url, { redirect: "follow" });
+    if (res.url && !res.url.includes("news.google.com")) return res.url;
+    const html = await res.text();
+    const attr = html.match(/data-n-au="([^"]+)"/);
+    if (attr) return attr[1].replace(/&amp;/g, "&");
+  } catch {
+    // Keep the redirect link; dedupe still works on it, just not across outlets.
+  }
+  return url;
+}
+
+/** Adds canonicalUrl, doi and pmid to a candidate, resolving Google News links. */
+export async function canonicalizeCandidate(item) {
+  const link = await resolveGoogleNewsUrl(item.link);
+  const doi = normalizeDoi(item.doi) || normalizeDoi(link);
+  const pmid = item.pmid || pmidFromUrl(link);
+  return {
+    ...item,
+    link,
+    canonicalUrl: canonicalizeUrl(link),
+    ...(doi ? { doi } : {}),
+    ...(pmid ? { pmid: String(pmid) } : {}),
+  };
+}
+
+// ── Title similarity ─────────────────────────────────────
+
+export function titleTokens(title) {
+  return new Set(
+    String(title || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+      .split(/[\s-]+/)
+      .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+  );
+}
+
+export function titleSimilarity(a, b) {
+  const ta = a instanceof Set ? a : titleTokens(a);
+  const tb = b instanceof Set ? b : titleTokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+// ── Stored-article index ─────────────────────────────────
+
+export function buildIndex(articles) {
+  const index = { urls: new Set(), dois: new Set(), pmids: new Set(), titles: new Set(), originalTitles: [] };
+  for (const a of articles) {
+    if (a.sourceUrl) index.urls.add(canonicalizeUrl(a.sourceUrl));
+    const doi = normalizeDoi(a.doi) || normalizeDoi(a.sourceUrl);
+    if (doi) index.dois.add(doi);
+    const pmid = a.pmid || pmidFromUrl(a.sourceUrl);
+    if (pmid) index.pmids.add(String(pmid));
+    if (a.title) index.titles.add(a.title.toLowerCase().trim());
+    if (a.originalTitle) index.originalTitles.push(titleTokens(a.originalTitle));
+  }
+  return index;
+}
+
+export function addToIndex(index, article) {
+  const single = buildIndex([article]);
+  for (const key of ["urls", "dois", "pmids", "titles"]) {
+    for (const value of single[key]) index[key].add(value);
+  }
+  index.originalTitles.push(...single.originalTitles);
+}
+
+/** Returns why `item` is already stored ("url", "doi", "pmid", "title"), or null. */
+export function findDuplicate(index, item, threshold = TITLE_SIMILARITY_THRESHOLD) {
+  const url = item.canonicalUrl || canonicalizeUrl(item.link || item.sourceUrl);
+  if (url && index.urls.has(url)) return "url";
+
+  const doi = normalizeDoi(item.doi) || normalizeDoi(item.link || item.sourceUrl);
+  if (doi && index.dois.has(doi)) return "doi";
+
+  const pmid = item.pmid || pmidFromUrl(item.link || item.sourceUrl);
+  if (pmid && index.pmids.has(String(pmid))) return "pmid";
+
+  if (item.title && index.titles.has(item.title.toLowerCase().trim())) return "title";
+
+  const englishTitle = item.originalTitle || item.title;
+  if (englishTitle) {
+    const tokens = titleTokens(englishTitle);
+    if (index.originalTitles.some((stored) => titleSimilarity(tokens, stored) >= threshold)) return "title";
+  }
+  return null;
+}
+
+// ── In-run clustering ────────────────────────────────────
+
+// Scholarly records carry the most metadata, then whichever has the most text.
+function representativeScore(item) {
+  return (item.pmid ? 4 : 0) + (item.doi ? 2 : 0) + Math.min((item.description || "").length, 1000) / 1000;
+}
+
+/**
+ * Groups candidates that share a canonical URL, DOI or PMID, or whose titles
+ * are near-duplicates. Returns one representative per cluster, with the others
+ * listed under `duplicates` and their identifiers merged in.
+ */
+export function clusterCandidates(items, threshold = TITLE_SIMILARITY_THRESHOLD) {
+  const clusters = [];
+
+  for (const item of items) {
+    const tokens = titleTokens(item.title);
+    const cluster = clusters.find((c) =>
+      c.members.some(
+        (m) =>
+          (item.canonicalUrl && m.item.canonicalUrl === item.canonicalUrl) ||
+          (item.doi && m.item.doi === item.doi) ||
+          (item.pmid && m.item.pmid === item.pmid) ||
+          titleSimilarity(tokens, m.tokens) >= threshold
+      )
+    );
+    if (cluster) cluster.members.push({ item, tokens });
+    else clusters.push({ members: [{ item, tokens }] });
+  }
+
+  return clusters.map(({ members }) => {
+    const sorted = members.map((m) => m.item).sort((a, b) => representativeScore(b) - representativeScore(a));
+    const [lead, ...rest] = sorted;
+    if (rest.length === 0) return lead;
+    const doi = lead.doi || rest.find((r) => r.doi)?.doi;
+    const pmid = lead.pmid || rest.find((r) => r.pmid)?.pmid;
+    return {
+      ...lead,
+      ...(doi ? { doi } : {}),
+      ...(pmid ? { pmid } : {}),
+      duplicates: rest.map((r) => ({ origin: r.origin, source: r.source, link: r.link, title: r.title })),
+    };
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * digest.js — `node auto-scout.js digest`: the weekly Hebrew newsletter.
+ *
+ *   digest [--days=7 | --since=YYYY-MM-DD [--until=YYYY-MM-DD]] [--out=digests]
+ *   digest --send [--to=a@x.com,b@y.com]
+ *
+ * Picks the articles added in the period (addedAt, or the Hebrew publishDate for
+ * entries without it), groups them by category and writes
+ * <out>/digest-<since>_<until>.html and .txt. The HTML is table-based with inline
+ * styles and dir="rtl" on every block, the way email clients need it; each item's
+ * bottomLine is set apart in a highlighted box.
+ *
+ * --send mails both versions (multipart/alternative) through the SMTP server in
+ * config/digest.json; credentials come from the env vars named there (SMTP_USER /
+ * SMTP_PASS by default). See scout/smtp.js.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "fs";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { hebrewDate } from "./schema.js";
+import { articleDate } from "./feeds.js";
+import { loadSiteConfig, articleUrl, escapeHtml } from "./site.js";
+import { sendMail } from "./smtp.js";
+import { CATEGORIES, CATEGORY_ICONS } from "./validate.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+export const DIGEST_CONFIG_PATH = resolve(ROOT, "config/digest.json");
+
+const DEFAULTS = {
+  days: 7,
+  outDir: "digests",
+  subject: "חיים ארוכים — הסיכום השבועי",
+  from: "",
+  to: [],
+  smtp: {},
+};
+
+// Site palette (see the Tailwind config in index.html)
+const COLORS = { text: "#1F2937", muted: "#6B7280", sage: "#6B8F71", sageLight: "#F0F4F1", medical: "#1E3A5F", border: "#DCE6DD" };
+const FONT = "Arial, 'Rubik', sans-serif";
+
+// ── Config ───────────────────────────────────────────────
+
+export function loadDigestConfig(path = DIGEST_CONFIG_PATH) {
+  let file = {};
+  if (existsSync(path)) {
+    try {
+      file = JSON.parse(readFileSync(path, "utf-8"));
+    } catch (e) {
+      throw new Error(`Could not read digest config ${path}: ${e.message}`);
+    }
+  }
+  const config = { ...DEFAULTS, ...file, smtp: { ...DEFAULTS.smtp, ...file.smtp } };
+  const { userEnv = "SMTP_USER", passEnv = "SMTP_PASS" } = config.smtp;
+  config.smtp.user = process.env[userEnv] || undefined;
+  config.smtp.pass = process.env[passEnv] || undefined;
+  return config;
+}
+
+// ── Selection ────────────────────────────────────────────
+
+function parseDay(value, flag) {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "") || Number.isNaN(time)) throw new Error(`${flag} expects a date like 2026-03-20, got "${value}"`);
+  return new Date(time);
+}
+
+/**
+ * Resolves the period from --since/--until (inclusive days) or the last `days`
+ * days up to now. Returns { since, until } with until exclusive.
+ */
+export function digestPeriod({ since, until, days }, now = new Date()) {
+  const end = until ? new Date(parseDay(until, "--until").getTime() + 86400000) : now;
+  const start = since ? parseDay(since, "--since") : new Date(end.getTime() - days * 86400000);
+  if (start >= end) throw new Error("The digest period is empty (--since must be before --until)");
+  return { since: start, until: end };
+}
+
+/** Articles added in [since, until), grouped as [{ category, articles }] in CATEGORIES order. */
+export function selectDigest(articles, { since, until }) {
+  const picked = articles
+    .map((article) => ({ article, date: articleDate(article) }))
+    .filter(({ date }) => date && date >= since && date < until)
+    .sort((a, b) => b.date - a.date)
+    .map(({ article }) => article);
+
+  return CATEGORIES
+    .map((category) => ({ category, articles: picked.filter((a) => a.category === category) }))
+    .filter((group) => group.articles.length > 0);
+}
+
+// ── Rendering ────────────────────────────────────────────
+
+function rangeLabel({ since, until }) {
+  return `${hebrewDate(since)} – ${hebrewDate(new Date(until.getTime() - 1))}`;
+}
+
+function htmlItem(article, url) {
+  return `
+            <tr>
+              <td dir="rtl" align="right" style="padding:0 0 28px 0;font-family:${FONT};color:${COLORS.text};">
+                <a href="${escapeHtml(url)}" style="font-size:18px;line-height:1.4;font-weight:bold;color:${COLORS.medical};text-decoration:none;">${escapeHtml(article.title)}</a>
+                <p dir="rtl" style="margin:8px 0 12px 0;font-size:15px;line-height:1.7;color:${COLORS.text};">${escapeHtml(article.summary)}</p>
+                ${article.bottomLine ? `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" dir="rtl">
+                  <tr>
+                    <td dir="rtl" align="right" style="background:${COLORS.sageLight};border-right:4px solid ${COLORS.sage};padding:12px 14px;font-family:${FONT};font-size:15px;line-height:1.6;color:${COLORS.text};">
+                      <strong style="color:${COLORS.sage};">השורה התחתונה:</strong> ${escapeHtml(article.bottomLine)}
+                    </td>
+                  </tr>
+                </table>` : ""}
+                <p dir="rtl" style="margin:10px 0 0 0;font-size:13px;color:${COLORS.muted};">
+                  ${escapeHtml(article.publishDate)} · <a href="${escapeHtml(url)}" style="color:${COLORS.sage};">לכתבה המלאה</a> · <a href="${escapeHtml(article.sourceUrl)}" style="color:${COLORS.muted};">למקור</a>
+                </p>
+              </td>
+            </tr>`;
+}
+
+function renderHtml({ groups, period, subject, site, urlFor, total }) {
+  const sections = groups.map(({ category, articles }) => `
+            <tr>
+              <td dir="rtl" align="right" style="padding:8px 0 16px 0;font-family:${FONT};border-bottom:1px solid ${COLORS.border};">
+                <h2 style="margin:0;font-size:20px;color:${COLORS.sage};">${CATEGORY_ICONS[category] || ""} ${escapeHtml(category)}</h2>
+              </td>
+            </tr>
+            <tr><td style="height:16px;line-height:16px;font-size:0;">&nbsp;</td></tr>${articles.map((a) => htmlItem(a, urlFor(a))).join("")}`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body dir="rtl" style="margin:0;padding:0;background:${COLORS.sageLight};">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" dir="rtl" style="background:${COLORS.sageLight};">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" dir="rtl" style="max-width:600px;width:100%;background:#FFFFFF;">
+          <tr>
+            <td dir="rtl" align="right" style="padding:28px 28px 8px 28px;font-family:${FONT};">
+              <div style="font-size:24px;font-weight:bold;color:${COLORS.medical};">🌿 ${escapeHtml(site.name)}</div>
+              <div style="margin-top:6px;font-size:14px;color:${COLORS.muted};">${total} כתבות חדשות · ${rangeLabel(period)}</div>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:20px 28px 8px 28px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" dir="rtl">${sections}
+              </table>
+            </td>
+          </tr>
+          <tr>
+            <td dir="rtl" align="center" style="padding:20px 28px 28px 28px;font-family:${FONT};font-size:12px;line-height:1.6;color:${COLORS.muted};border-top:1px solid ${COLORS.border};">
+              <a href="${escapeHtml(site.baseUrl)}/" style="color:${COLORS.sage};">${escapeHtml(site.name)}</a> · אין לראות בתכנים ייעוץ רפואי.
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+function renderText({ groups, period, site, urlFor, total }) {
+  const lines = [`${site.name} — ${total} כתבות חדשות`, rangeLabel(period), ""];
+  for (const { category, articles } of groups) {
+    lines.push(`${CATEGORY_ICONS[category] || ""} ${category}`.trim(), "=".repeat(category.length + 2), "");
+    for (const article of articles) {
+      lines.push(article.title, "", article.summary, "");
+      if (article.bottomLine) lines.push(`>> השורה התחתונה: ${article.bottomLine}`, "");
+      lines.push(`לכתבה המלאה: ${urlFor(article)}`, `מקור: ${article.sourceUrl}`, "", "");
+    }
+  }
+  lines.push("—", `${site.baseUrl}/`, "אין לראות בתכנים ייעוץ רפואי.", "");
+  return lines.join("\n");
+}
+
+/** Renders the digest for a period. Returns { subject, html, text, total, groups }. */
+export function renderDigest(articles, period, { config = loadDigestConfig(), site = loadSiteConfig() } = {}) {
+  const groups = selectDigest(articles, period);
+  const total = groups.reduce((n, g) => n + g.articles.length, 0);
+  const subject = `${config.subject} (${rangeLabel(period)})`;
+  const urlFor = (article) => (article.slug ? articleUrl(site, article) : `${site.baseUrl}/article.html?id=${encodeURIComponent(article.id)}`);
+  const context = { groups, period, subject, site, urlFor, total };
+  return { subject, html: renderHtml(context), text: renderText(context), total, groups };
+}
+
+// ── Command ──────────────────────────────────────────────
+
+export async function runDigest(args, articles, { configPath = DIGEST_CONFIG_PATH } = {}) {
+  const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const config = loadDigestConfig(configPath);
+  const period = digestPeriod({
+    since: option("since"),
+    until: option("until"),
+    days: option("days") ? parseInt(option("days"), 10) : config.days,
+  });
+
+  const digest = renderDigest(articles, period, { config });
+  if (digest.total === 0) {
+    console.log(`No articles added ${rangeLabel(period)} — nothing to send.`);
+    return digest;
+  }
+
+  const outDir = resolve(ROOT, option("out") || config.outDir);
+  const name = `digest-${period.since.toISOString().slice(0, 10)}_${new Date(period.until.getTime() - 1).toISOString().slice(0, 10)}`;
+  mkdirSync(outDir, { recursive: true });
+  writeFileSync(join(outDir, `${name}.html`), digest.html, "utf-8");
+  writeFileSync(join(outDir, `${name}.txt`), digest.text, "utf-8");
+  console.log(`Digest: ${digest.total} articles in ${digest.groups.length} categories → ${join(outDir, name)}.{html,txt}`);
+
+  if (args.includes("--send")) {
+    const to = option("to") ? option("to").split(",").map((t) => t.trim()).filter(Boolean) : config.to;
+    if (!config.from) throw new Error(`Set "from" in ${configPath} before using --send`);
+    const { accepted, response } = await sendMail(config.smtp, { from: config.from, to, subject: digest.subject, text: digest.text, html: digest.html });
+    console.log(`Sent to ${accepted.length} recipient(s) via ${config.smtp.host}: ${response}`);
+  }
+  return digest;
+}
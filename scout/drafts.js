@@ -0,0 +1,108 @@
+/**
+ * drafts.js — Editorial review store.
+ *
+ * `--auto` no longer writes to content/articles.json. Summaries land in
+ * content/drafts.json as "pending" (or "held", when the safety check in
+ * scout/safety.js flags them); an editor approves, edits or rejects them
+ * (see scout/review.js) and `review publish` moves approved drafts into the
+ * articles file with a real id and addedAt.
+ *
+ * Rejections are kept in content/rejected.json (URL, DOI, PMID and titles
+ * only) so the scout never picks the same story up again.
+ *
+ * Draft ids are short hashes of the canonical source URL, so they stay stable
+ * across runs and machines.
+ */
+
+import { createHash } from "crypto";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { canonicalizeUrl } from "./dedupe.js";
+import { buildArticle } from "./schema.js";
+import { readJsonList, writeJsonAtomic } from "./store.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DRAFTS_PATH = resolve(__dirname, "../content/drafts.json");
+export const REJECTED_PATH = resolve(__dirname, "../content/rejected.json");
+
+export const DRAFT_STATUSES = ["pending", "held", "approved"];
+export const EDITABLE_FIELDS = ["title", "summary", "bottomLine", "category", "tags", "translations"];
+
+export const loadDrafts = (path = DRAFTS_PATH) => readJsonList(path, { label: "drafts" });
+export const saveDrafts = (drafts, path = DRAFTS_PATH) => writeJsonAtomic(path, drafts);
+export const loadRejected = (path = REJECTED_PATH) => readJsonList(path, { label: "rejected list" });
+export const saveRejected = (rejected, path = REJECTED_PATH) => writeJsonAtomic(path, rejected);
+
+export function draftId(sourceUrl) {
+  return createHash("sha1").update(canonicalizeUrl(sourceUrl)).digest("hex").slice(0, 7);
+}
+
+/** A pending draft: a v2 entry keyed by draftId, plus review state. */
+export function createDraft(summary, candidate, extra = {}, now = new Date()) {
+  return {
+    ...buildArticle(draftId(summary.sourceUrl), summary, candidate, { now, ...extra }),
+    status: "pending",
+    draftedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Marks a draft approved. Drafts held by the safety check (scout/safety.js)
+ * need `override`; the flags stay on the draft as a record.
+ */
+export function approveDraft(draft, { override = false, now = new Date() } = {}) {
+  if (draft.status === "held" && !override) {
+    const flags = (draft.safetyFlags || []).map((f) => `${f.rule} «${f.match}»`).join(", ");
+    throw new Error(`Draft ${draft.id} is held by the safety check (${flags}) — edit it, or approve with --override`);
+  }
+  draft.status = "approved";
+  draft.reviewedAt = now.toISOString();
+  if (override && draft.safetyFlags?.length) draft.safetyOverride = true;
+  return draft;
+}
+
+export function findDraft(drafts, id) {
+  const draft = drafts.find((d) => d.id === id);
+  if (!draft) throw new Error(`No draft with id "${id}" — run "review list" to see pending drafts`);
+  return draft;
+}
+
+/** What the scout remembers about a rejected draft. */
+export function rejectionRecord(draft, reason, now = new Date()) {
+  return {
+    id: draft.id,
+    title: draft.title,
+    originalTitle: draft.originalTitle,
+    sourceUrl: draft.sourceUrl,
+    doi: draft.doi,
+    pmid: draft.pmid,
+    reason,
+    rejectedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Moves approved drafts into the article list (newest first), assigning
+ * sequential ids and stamping addedAt/publishDate with the publish time.
+ * Returns { articles, published, remaining }.
+ */
+export function publishApproved(drafts, articles, now = new Date()) {
+  let maxId = articles.reduce((max, a) => Math.max(max, parseInt(a.id, 10) || 0), 0);
+  const published = [];
+  const remaining = drafts.filter((d) => d.status !== "approved");
+
+  // Drafts are stored newest first; publish oldest first so ids follow drafting order.
+  for (const draft of drafts.filter((d) => d.status === "approved").reverse()) {
+    const { id, slug, status, draftedAt, reviewedAt, addedAt, publishDate, schemaVersion, promptVersion, model, safetyFlags, safetyOverride, ...fields } = draft;
+    maxId++;
+    published.push(
+      buildArticle(maxId, fields, null, {
+        now,
+        ...(promptVersion ? { promptVersion } : {}),
+        ...(model ? { model } : {}),
+      })
+    );
+  }
+
+  return { articles: [...[...published].reverse(), ...articles], published, remaining };
+}
@@ -0,0 +1,216 @@
+/**
+ * enrich.js — Pull source text for candidates before summarization.
+ *
+ * Runs between dedupe and summarization. Each candidate gets:
+ *   text        — abstract or main article text, trimmed to the token budget
+ *   textSource  — "pubmed-abstract" | "openalex-abstract" | "page" | "feed"
+ *
+ * Candidates with a PMID also pick up `publicationTypes` from the same efetch
+ * call when their source didn't report them (see scout/evidence.js).
+ *
+ * PubMed abstracts come from a single efetch call for all PMIDs, OpenAlex
+ * abstracts are rebuilt from `abstract_inverted_index`, and news pages go
+ * through a readability-style main-text extraction. Anything that fails
+ * falls back to the feed description.
+ */
+
+import { decodeEntities, htmlToText } from "./feed-parser.js";
+import { httpFetch } from "./http.js";
+
+export const DEFAULT_TOKEN_BUDGET = 700;
+
+// Rough chars-per-token for English prose; good enough for budgeting.
+const CHARS_PER_TOKEN = 4;
+
+// Hosts whose links are redirect/landing pages rather than article text.
+const SKIP_PAGE_HOSTS = ["news.google.com", "doi.org", "pubmed.ncbi.nlm.nih.gov", "openalex.org"];
+
+// ── Text helpers ─────────────────────────────────────────
+
+export function trimToBudget(text, tokens) {
+  const maxChars = tokens * CHARS_PER_TOKEN;
+  const clean = text.replace(/\s+/g, " ").trim();
+  if (clean.length <= maxChars) return clean;
+
+  const cut = clean.slice(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("? "), cut.lastIndexOf("! "));
+  return (sentenceEnd > maxChars * 0.6 ? cut.slice(0, sentenceEnd + 1) : cut.replace(/\s+\S*$/, "")) + " …";
+}
+
+export function invertedIndexToText(index) {
+  if (!index || typeof index !== "object") return "";
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const pos of positions) words[pos] = word;
+  }
+  return words.filter(Boolean).join(" ");
+}
+
+// ── PubMed ───────────────────────────────────────────────
+
+export function parsePubMedAbstracts(xml) {
+  const abstracts = {};
+  const articleRegex = /<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g;
+  let match;
+  while ((match = articleRegex.exec(xml)) !== null) {
+    const article = match[0];
+    const pmid = article.match(/<PMID[^>]*>(\d+)<\/PMID>/);
+    if (!pmid) continue;
+
+    const parts = [];
+    const partRegex = /<AbstractText([^>]*)>([\s\S]*?)<\/AbstractText>/g;
+    let part;
+    while ((part = partRegex.exec(article)) !== null) {
+      const label = part[1].match(/Label="([^"]+)"/);
+      const text = htmlToText(part[2]);
+      if (text) parts.push(label ? `${decodeEntities(label[1])}: ${text}` : text);
+    }
+    if (parts.length) abstracts[pmid[1]] = parts.join(" ");
+  }
+  return abstracts;
+}
+
+/** { pmid: ["Randomized Controlled Trial", "Journal Article", …] } from efetch XML. */
+export function parsePubMedPublicationTypes(xml) {
+  const types = {};
+  for (const [article] of xml.matchAll(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g)) {
+    const pmid = article.match(/<PMID[^>]*>(\d+)<\/PMID>/);
+    if (!pmid) continue;
+    const list = [...article.matchAll(/<PublicationType\b[^>]*>([\s\S]*?)<\/PublicationType>/g)].map((m) => decodeEntities(m[1]).trim());
+    if (list.length) types[pmid[1]] = list;
+  }
+  return types;
+}
+
+async function fetchPubMedRecords(pmids) {
+  if (pmids.length === 0) return { abstracts: {}, publicationTypes: {} };
+  const url = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi?db=pubmed&id=${pmids.join(",")}&retmode=xml&rettype=abstract`;
+  const res = await httpFetch(url);
+  if (!res.ok) throw new Error(`PubMed efetch: ${res.status}`);
+  const xml = await res.text();
+  return { abstracts: parsePubMedAbstracts(xml), publicationTypes: parsePubMedPublicationTypes(xml) };
+}
+
+// ── OpenAlex ─────────────────────────────────────────────
+
+async function fetchOpenAlexAbstract(item) {
+  if (item.abstractIndex) return invertedIndexToText(item.abstractIndex);
+  if (!item.openalexId) return "";
+
+  const id = item.openalexId.replace(/^https?:\/\/openalex\.org\//, "");
+  const res = await httpFetch(`https://api.openalex.org/works/${id}?select=abstract_inverted_index`);
+  if (!res.ok) throw new Error(`OpenAlex work: ${res.status}`);
+  const data = await res.json();
+  return invertedIndexToText(data.abstract_inverted_index);
+}
+
+// ── News pages ───────────────────────────────────────────
+
+function linkDensity(html) {
+  const total = htmlToText(html).length || 1;
+  let linked = 0;
+  const linkRegex = /<a\b[^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = linkRegex.exec(html)) !== null) linked += htmlToText(match[1]).length;
+  return linked / total;
+}
+
+/** Readability-style main text: paragraphs from the densest content container. */
+export function extractMainText(html) {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|figure)\b[\s\S]*?<\/\1>/gi, " ");
+
+  const containers = [
+    ...cleaned.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi),
+    ...cleaned.matchAll(/<main\b[^>]*>([\s\S]*?)<\/main>/gi),
+  ].map((m) => m[1]);
+  const body = cleaned.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  containers.push(body ? body[1] : cleaned);
+
+  let best = "";
+  for (const container of containers) {
+    const paragraphs = [...container.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+      .map((m) => m[1])
+      .filter((p) => linkDensity(p) < 0.5)
+      .map((p) => htmlToText(p))
+      .filter((text) => text.length >= 60);
+    const text = paragraphs.join("\n\n");
+    if (text.length > best.length) best = text;
+  }
+
+  if (best) return best;
+
+  const meta =
+    html.match(/<meta[^>]+(?:property|name)=["'](?:og:description|description)["'][^>]+content=["']([^"']*)["']/i) ||
+    html.match(/<meta[^>]+content=["']([^"']*)["'][^>]+(?:property|name)=["'](?:og:description|description)["']/i);
+  return meta ? decodeEntities(meta[1]).trim() : "";
+}
+
+async function fetchPageText(url) {
+  const res = await httpFetch(url, { redirect: "follow" });
+  if (!res.ok) throw new Error(`${res.status}`);
+  const type = res.headers.get("content-type") || "";
+  if (!type.includes("html")) throw new Error(`unsupported content-type ${type}`);
+  return extractMainText(await res.text());
+}
+
+function shouldFetchPage(link) {
+  try {
+    const host = new URL(link).hostname;
+    return !SKIP_PAGE_HOSTS.some((skip) => host === skip || host.endsWith(`.${skip}`));
+  } catch {
+    return false;
+  }
+}
+
+// ── Enrichment stage ─────────────────────────────────────
+
+export async function enrichCandidates(items, { tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+  let abstracts = {};
+  let publicationTypes = {};
+  const pmids = items.filter((item) => item.pmid && !item.text).map((item) => item.pmid);
+  try {
+    ({ abstracts, publicationTypes } = await fetchPubMedRecords(pmids));
+  } catch (e) {
+    console.error(`  PubMed abstracts: ERROR — ${e.message}`);
+  }
+
+  return Promise.all(
+    items.map(async (item) => {
+      const { abstractIndex, ...rest } = item;
+      // Queued candidates from an earlier run were enriched already.
+      if (item.text) return rest;
+
+      const types = !item.publicationTypes && item.pmid ? publicationTypes[item.pmid] : null;
+      const candidate = types ? { ...rest, publicationTypes: types } : rest;
+
+      let text = "";
+      let textSource = "";
+
+      try {
+        if (item.pmid && abstracts[item.pmid]) {
+          text = abstracts[item.pmid];
+          textSource = "pubmed-abstract";
+        } else if (item.abstractIndex || item.openalexId) {
+          text = await fetchOpenAlexAbstract(item);
+          textSource = "openalex-abstract";
+        } else if (shouldFetchPage(item.link)) {
+          text = await fetchPageText(item.link);
+          textSource = "page";
+        }
+      } catch (e) {
+        console.error(`  Enrich [${item.title.slice(0, 40)}...]: ${e.message}`);
+      }
+
+      // Pages shorter than the feed blurb are usually paywalls or cookie walls.
+      if ((!text || text.length < (item.description || "").length) && item.description) {
+        text = item.description;
+        textSource = "feed";
+      }
+
+      if (!text) return candidate;
+      return { ...candidate, text: trimToBudget(text, tokenBudget), textSource };
+    })
+  );
+}
@@ -0,0 +1,237 @@
+/**
+ * evidence.js — Study type, sample size and evidence strength for each article.
+ *
+ * Stored on the article as `evidence`: { studyType, sampleSize, strength, basis },
+ * or null when nothing says what kind of study it is.
+ *
+ *   studyType  — one of STUDY_TYPES:
+ *                  review    — systematic review / meta-analysis
+ *                  narrative-review — a review that doesn't search and weigh the
+ *                              studies systematically (PubMed "Review", OpenAlex "review")
+ *                  rct       — randomized controlled trial
+ *                  cohort    — cohort or other observational study in people
+ *                  animal    — mice, rats, worms, flies, primates…
+ *                  in-vitro  — cells, tissue or organoids in the lab
+ *                  news      — news commentary, editorial or opinion, no study of its own
+ *   sampleSize — number of participants when known, or null
+ *   strength   — one of STRENGTHS, from the study type, one step lower for
+ *                trials and cohorts under SMALL_SAMPLE participants
+ *   basis      — where the study type came from, in order of trust:
+ *                  "pubmed"     — PubMed publication types (esummary / efetch)
+ *                  "openalex"   — OpenAlex work type
+ *                  "summarizer" — the summarizer's "studyType" field (it read the text)
+ *                  "text"       — keyword rules over the headline, abstract and summary
+ *
+ * The badge markup lives in js/evidence.js, the labels in js/i18n.js (evidence.*).
+ */
+
+export const STUDY_TYPES = ["review", "narrative-review", "rct", "cohort", "animal", "in-vitro", "news"];
+export const STRENGTHS = ["strong", "moderate", "limited", "preliminary"];
+
+const BASE_STRENGTH = {
+  review: "strong",
+  "narrative-review": "limited",
+  rct: "strong",
+  cohort: "moderate",
+  animal: "preliminary",
+  "in-vitro": "preliminary",
+  news: "limited",
+};
+
+// Trials and cohorts smaller than this are rated one step lower.
+const SMALL_SAMPLE = 100;
+
+// Basis values that a keyword backfill must not overwrite.
+const TRUSTED_BASES = ["pubmed", "openalex", "summarizer"];
+
+// Prompt description of each type, for the {{studyTypes}} variable (see scout/prompts.js).
+const PROMPT_DESCRIPTIONS = {
+  review: "סקירה שיטתית או מטה-אנליזה",
+  "narrative-review": "סקירה כללית של מחקרים קודמים, שאינה שיטתית",
+  rct: "ניסוי מבוקר אקראי בבני אדם",
+  cohort: "מחקר עוקבה או מחקר תצפיתי אחר בבני אדם",
+  animal: "מחקר בבעלי חיים (עכברים, חולדות, תולעים…)",
+  "in-vitro": "מחקר בתאים או ברקמות במעבדה",
+  news: "פרשנות, מאמר דעה או חדשות ללא מחקר מאחוריהם",
+};
+
+// ── Structured types ─────────────────────────────────────
+
+// PubMed publication types, strongest signal first. "Journal Article" says nothing.
+const PUBMED_TYPES = [
+  [/^(meta-analysis|systematic review|network meta-analysis|umbrella review)$/i, "review"],
+  [/^(randomized controlled trial|pragmatic clinical trial|equivalence trial)$/i, "rct"],
+  [/^observational study$/i, "cohort"],
+  [/^(review|scoping review)$/i, "narrative-review"],
+  [/^(editorial|comment|news|newspaper article|letter|interview)$/i, "news"],
+];
+
+// OpenAlex "review" covers systematic and narrative reviews alike; see classifyEvidence.
+const OPENALEX_TYPES = {
+  review: "narrative-review",
+  editorial: "news",
+  letter: "news",
+};
+
+function fromPublicationTypes(types) {
+  if (!Array.isArray(types) || types.length === 0) return null;
+  for (const [pattern, studyType] of PUBMED_TYPES) {
+    if (types.some((t) => pattern.test(String(t).trim()))) return studyType;
+  }
+  return null;
+}
+
+// ── Keyword rules ────────────────────────────────────────
+
+// English rules run over the source headline and abstract, Hebrew ones over the title and summary.
+const TEXT_RULES = {
+  review: [/\bmeta-?analys[ie]s\b|\bsystematic(ally)? review|\bumbrella review\b|\bpooled analysis\b/gi, /מטה[- ]?אנליז|סקירה שיטתית|ניתוח מאוחד/g],
+  "narrative-review": [
+    /\b(narrative|scoping|literature) review\b|\breview of (the )?(literature|evidence|studies)\b/gi,
+    /סקירה (?:מדעית|מקיפה|חדשה ב|בכתב העת|של (?:ה)?ספרות)|סקירת ספרות/g,
+  ],
+  rct: [/\brandomi[sz]ed\b|\bplacebo\b|\bdouble-blind\b|\bRCT\b/gi, /אקראי|פלצבו|אינבו|סמיות כפולה|ניסוי קליני|ניסוי מבוקר/g],
+  cohort: [
+    /\bcohort\b|\bprospective(ly)?\b|\blongitudinal\b|\bobservational\b|\bbiobank\b|\bpopulation-based\b|\bfollowed (up )?for\b/gi,
+    /עוקבה|תצפיתי|ביובנק|מחקר אורכי|(?:^|\s)[שו]?עקבו? אחר|במשך (?:\d+ שנים|עשורים)|מחקר בן \d+ שנ/g,
+  ],
+  animal: [
+    /\b(mice|mouse|murine|rats?|rodents?|zebrafish|nematodes?|C\. elegans|worms|fruit fl(y|ies)|drosophila|primates|monkeys|macaques|dogs)\b/gi,
+    /עכבר|חולדות|מכרסמים|בעלי חיים|תולע|C\. elegans|זבובי פירות|דגי זברה|קופים/g,
+  ],
+  "in-vitro": [/\bin vitro\b|\bcell cultures?\b|\bcell lines?\b|\bcultured cells\b|\borganoids?\b/gi, /במבחנה|תרבי(ו)?ת תאים|תאים במעבדה|מחקר מעבד|אורגנואיד/g],
+  news: [/\b(editorial|commentary|viewpoint|op-ed)\b/gi, /מאמר דעה|טור דעה|מאמר מערכת|ראיון/g],
+};
+
+const TITLE_WEIGHT = 3;
+
+function countRule(patterns, english, hebrew) {
+  const [en, he] = patterns;
+  return (english.match(en) || []).length + (hebrew.match(he) || []).length;
+}
+
+/** The study type whose keywords score highest (headlines count triple), or null. */
+export function studyTypeFromText({ englishTitle = "", englishText = "", hebrewTitle = "", hebrewText = "" }) {
+  let best = null;
+  let bestScore = 0;
+  for (const studyType of STUDY_TYPES) {
+    const patterns = TEXT_RULES[studyType];
+    const score = TITLE_WEIGHT * countRule(patterns, englishTitle, hebrewTitle) + countRule(patterns, englishText, hebrewText);
+    if (score > bestScore) {
+      best = studyType;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// ── Sample size ──────────────────────────────────────────
+
+const PEOPLE_EN = "participants|patients|adults|people|individuals|subjects|volunteers|women|men|children|persons|twins|veterans|residents";
+const PEOPLE_HE = "משתתפים|משתתפות|מטופלים|נבדקים|אנשים|מבוגרים|נשים|גברים|חולים|ילדים|תאומים";
+
+const N_EQUALS = /\bn\s*=\s*(\d[\d,]*)()/gi;
+const SAMPLE_PATTERNS = [
+  new RegExp(`(\\d[\\d,.]*)\\s*(million|thousand|מיליון|אלף)?\\s+(?:[a-z-]+\\s+)?(?:${PEOPLE_EN})\\b`, "gi"),
+  new RegExp(`(\\d[\\d,.]*)\\s*(million|thousand|מיליון|אלף)?\\s+(?:${PEOPLE_HE})`, "g"),
+  N_EQUALS,
+];
+
+// "In 2024 adults were recruited": a bare year before the people, not a count
+const YEAR = /^(?:19|20)\d\d$/;
+
+const MULTIPLIERS = { million: 1e6, "מיליון": 1e6, thousand: 1e3, "אלף": 1e3 };
+
+/**
+ * Largest participant count mentioned in the text, or null. Four-digit numbers
+ * from 1900 to 2099 count only with a thousands separator ("2,024") or after "n =".
+ */
+export function sampleSizeFromText(text) {
+  let best = null;
+  for (const pattern of SAMPLE_PATTERNS) {
+    for (const match of String(text || "").matchAll(pattern)) {
+      if (pattern !== N_EQUALS && !match[2] && YEAR.test(match[1].replace(/[,.]+$/, ""))) continue;
+      const multiplier = MULTIPLIERS[(match[2] || "").toLowerCase()] || 1;
+      const value = Math.round((multiplier > 1 ? parseFloat(match[1].replace(/,/g, "")) : parseInt(match[1].replace(/[,.]/g, ""), 10)) * multiplier);
+      if (value >= 2 && (best === null || value > best)) best = value;
+    }
+  }
+  return best;
+}
+
+function toSampleSize(value) {
+  const n = typeof value === "string" ? parseInt(value.replace(/[,\s]/g, ""), 10) : value;
+  return Number.isInteger(n) && n >= 2 ? n : null;
+}
+
+// ── Classification ───────────────────────────────────────
+
+export function evidenceStrength(studyType, sampleSize = null) {
+  const base = BASE_STRENGTH[studyType];
+  if (!base) return null;
+  if ((studyType === "rct" || studyType === "cohort") && sampleSize !== null && sampleSize < SMALL_SAMPLE) {
+    return STRENGTHS[Math.min(STRENGTHS.indexOf(base) + 1, STRENGTHS.length - 1)];
+  }
+  return base;
+}
+
+/**
+ * Evidence for a summarized article. `candidate` (when known) supplies the
+ * PubMed publication types, OpenAlex work type and source text; the article
+ * supplies the summarizer's studyType / sampleSize and the Hebrew title and summary.
+ * Returns null when no study type can be told.
+ */
+export function classifyEvidence(article, candidate = null) {
+  let studyType = null;
+  let basis = null;
+
+  const pubmed = fromPublicationTypes(candidate?.publicationTypes);
+  const openalex = OPENALEX_TYPES[candidate?.workType] || null;
+  const suggested = STUDY_TYPES.includes(article.studyType) ? article.studyType : null;
+  const englishTitle = candidate?.title || article.originalTitle || "";
+  const englishText = candidate?.text || candidate?.description || "";
+  // The bottom line is advice to the reader ("עקבו אחרי…"), not a description of the study.
+  const hebrewText = article.summary || "";
+
+  if (pubmed) [studyType, basis] = [pubmed, "pubmed"];
+  else if (openalex) [studyType, basis] = [openalex, "openalex"];
+  else if (suggested) [studyType, basis] = [suggested, "summarizer"];
+  else {
+    studyType = studyTypeFromText({ englishTitle, englishText, hebrewTitle: article.title || "", hebrewText });
+    basis = "text";
+  }
+  if (!studyType) return null;
+  // A review typed only as "Review" that calls itself systematic or a meta-analysis is one.
+  if (studyType === "narrative-review" && basis !== "text" && countRule(TEXT_RULES.review, englishTitle, article.title || "") > 0) {
+    studyType = "review";
+  }
+
+  const sampleSize =
+    studyType === "animal" || studyType === "in-vitro"
+      ? null
+      : toSampleSize(article.sampleSize) ?? sampleSizeFromText(englishText) ?? sampleSizeFromText(hebrewText);
+  return { studyType, sampleSize, strength: evidenceStrength(studyType, sampleSize), basis };
+}
+
+/** The {{studyTypes}} prompt variable: `"rct" — …` lines. */
+export function studyTypesForPrompt() {
+  return STUDY_TYPES.map((t) => `  "${t}" — ${PROMPT_DESCRIPTIONS[t]}`).join("\n");
+}
+
+// ── Backfill ─────────────────────────────────────────────
+
+/**
+ * Classifies stored articles from their headline and summary. Evidence that
+ * came from PubMed, OpenAlex or the summarizer is kept. Returns { articles, changed }.
+ */
+export function backfillEvidence(articles) {
+  let changed = 0;
+  const classified = articles.map((article) => {
+    if (TRUSTED_BASES.includes(article.evidence?.basis)) return article;
+    const evidence = classifyEvidence(article);
+    if (JSON.stringify(evidence) === JSON.stringify(article.evidence ?? null)) return article;
+    changed++;
+    return { ...article, evidence };
+  });
+  return { articles: classified, changed };
+}
@@ -0,0 +1,275 @@
+/**
+ * feed-parser.js — Streaming XML feed parser for RSS 2.0, Atom and RDF (RSS 1.0).
+ *
+ * Usage:
+ *   const parser = new FeedParser();
+ *   for await (const chunk of stream) parser.write(chunk);
+ *   const { format, title, items } = parser.end();
+ *
+ *   parseFeed(xml) — same thing for a complete document.
+ *
+ * Each item: { title, link, pubDate, description, author, guid, image }.
+ * Entities and CDATA are decoded everywhere; description is plain text.
+ */
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+  laquo: "«", raquo: "»", bull: "•", middot: "·", deg: "°", plusmn: "±", times: "×",
+  micro: "µ", copy: "©", reg: "®", trade: "™", euro: "€", pound: "£",
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", kappa: "κ", mu: "μ",
+  le: "≤", ge: "≥", ne: "≠", asymp: "≈",
+  aacute: "á", eacute: "é", iacute: "í", oacute: "ó", uacute: "ú",
+  agrave: "à", egrave: "è", auml: "ä", ouml: "ö", uuml: "ü", ccedil: "ç", ntilde: "ñ", szlig: "ß",
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (whole, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    const named = NAMED_ENTITIES[ref] ?? NAMED_ENTITIES[ref.toLowerCase()];
+    return named ?? whole;
+  });
+}
+
+/** HTML fragment → single-line plain text. */
+export function htmlToText(html) {
+  const stripped = html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6])>/gi, " ")
+    .replace(/<\/?[a-z][^>]*>/gi, "");
+  return decodeEntities(stripped).replace(/\s+/g, " ").trim();
+}
+
+function localName(name) {
+  const i = name.indexOf(":");
+  return i === -1 ? name : name.slice(i + 1);
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const regex = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = regex.exec(source)) !== null) {
+    attrs[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+// Index of the `>` closing a start/end tag, skipping quoted attribute values.
+function findTagEnd(buffer, from) {
+  let quote = null;
+  for (let i = from; i < buffer.length; i++) {
+    const c = buffer[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === ">") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const ITEM_ELEMENTS = new Set(["item", "entry"]);
+const FORMATS = { rss: "rss", feed: "atom", RDF: "rdf" };
+
+export class FeedParser {
+  constructor() {
+    this.buffer = "";
+    this.stack = [];
+    this.format = null;
+    this.title = "";
+    this.items = [];
+    this.item = null;
+    this.titleFrame = null;
+  }
+
+  write(chunk) {
+    this.buffer += chunk;
+    this.#drain(false);
+    return this;
+  }
+
+  end() {
+    this.#drain(true);
+    return { format: this.format || "unknown", title: this.title, items: this.items };
+  }
+
+  // ── Tokenizer ──
+
+  #drain(final) {
+    const buf = this.buffer;
+    let pos = 0;
+
+    while (pos < buf.length) {
+      const lt = buf.indexOf("<", pos);
+      if (lt === -1) {
+        // Trailing text may be cut mid-entity; hold it until the next tag arrives.
+        if (final) this.#onText(decodeEntities(buf.slice(pos)));
+        else break;
+        pos = buf.length;
+        break;
+      }
+      if (lt > pos) this.#onText(decodeEntities(buf.slice(pos, lt)));
+      pos = lt;
+
+      let end;
+      if (buf.startsWith("<!--", pos)) {
+        end = buf.indexOf("-->", pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buf.startsWith("<![CDATA[", pos)) {
+        end = buf.indexOf("]]>", pos + 9);
+        if (end === -1) break;
+        this.#onText(buf.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buf.startsWith("<?", pos)) {
+        end = buf.indexOf("?>", pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buf.startsWith("<!", pos)) {
+        const bracket = buf.indexOf("[", pos);
+        const close = buf.indexOf(">", pos);
+        if (close === -1) break;
+        if (bracket !== -1 && bracket < close) {
+          end = buf.indexOf("]>", bracket);
+          if (end === -1) break;
+          pos = end + 2;
+        } else {
+          pos = close + 1;
+        }
+      } else {
+        end = findTagEnd(buf, pos + 1);
+        if (end === -1) break;
+        const raw = buf.slice(pos + 1, end);
+        if (raw[0] === "/") {
+          this.#onClose(raw.slice(1).trim());
+        } else {
+          const selfClosing = raw.endsWith("/");
+          const body = selfClosing ? raw.slice(0, -1) : raw;
+          const nameEnd = body.search(/[\s]/);
+          const name = nameEnd === -1 ? body : body.slice(0, nameEnd);
+          const attrs = nameEnd === -1 ? {} : parseAttributes(body.slice(nameEnd));
+          this.#onOpen(name, attrs);
+          if (selfClosing) this.#onClose(name);
+        }
+        pos = end + 1;
+      }
+    }
+
+    this.buffer = buf.slice(pos);
+  }
+
+  // ── Handlers ──
+
+  #onOpen(name, attrs) {
+    if (!this.format && this.stack.length === 0) {
+      this.format = FORMATS[localName(name)] || null;
+    }
+    this.stack.push(name);
+
+    if (this.item) {
+      const parent = this.item.frames[this.item.frames.length - 1];
+      const key = parent ? `${parent.key}/${name}` : name;
+      this.item.frames.push({ key, text: "" });
+      this.item.elements.push({ key, attrs });
+      return;
+    }
+
+    if (ITEM_ELEMENTS.has(localName(name))) {
+      this.item = { depth: this.stack.length, fields: {}, elements: [], frames: [], about: attrs["rdf:about"] || "" };
+      return;
+    }
+
+    if (!this.title && !this.titleFrame && localName(name) === "title") {
+      this.titleFrame = { depth: this.stack.length, text: "" };
+    }
+  }
+
+  #onText(text) {
+    if (this.item) {
+      for (const frame of this.item.frames) frame.text += text;
+    } else if (this.titleFrame) {
+      this.titleFrame.text += text;
+    }
+  }
+
+  #onClose(name) {
+    // Tolerate mismatched end tags by unwinding to the nearest matching element.
+    const index = this.stack.lastIndexOf(name);
+    if (index === -1) return;
+
+    while (this.stack.length > index) {
+      const depth = this.stack.length;
+      this.stack.pop();
+
+      if (this.item) {
+        if (depth === this.item.depth) {
+          const item = finalizeItem(this.item);
+          if (item) this.items.push(item);
+          this.item = null;
+        } else {
+          const frame = this.item.frames.pop();
+          (this.item.fields[frame.key] ||= []).push(frame.text);
+        }
+      } else if (this.titleFrame && depth === this.titleFrame.depth) {
+        this.title = htmlToText(this.titleFrame.text);
+        this.titleFrame = null;
+      }
+    }
+  }
+}
+
+// ── Item field mapping ───────────────────────────────────
+
+function finalizeItem({ fields, elements, about }) {
+  const first = (...keys) => {
+    for (const key of keys) {
+      const value = fields[key]?.find((v) => v.trim());
+      if (value) return value.trim();
+    }
+    return "";
+  };
+  const withAttrs = (predicate) => elements.find((e) => predicate(localName(e.key.split("/").pop()), e.attrs, e.key));
+
+  let title = htmlToText(first("title", "dc:title"));
+  // Some publishers double-encode (&amp;#8217;); a second pass catches what survived.
+  if (/&(#\d+|#x[0-9a-f]+|[a-z]+);/i.test(title)) title = decodeEntities(title);
+
+  const atomLink =
+    withAttrs((n, a, key) => key === "link" && a.href && (!a.rel || a.rel === "alternate")) ||
+    withAttrs((n, a, key) => key === "link" && a.href);
+  const guid = first("guid", "id", "dc:identifier") || about;
+  const link = first("link") || atomLink?.attrs.href || about || (/^https?:\/\//.test(guid) ? guid : "");
+
+  const rawDescription = first("description", "summary", "content:encoded", "content", "dc:description");
+  const author =
+    first("author/name", "atom:author/atom:name", "dc:creator", "author", "itunes:author")
+      .replace(/^\S+@\S+\s+\((.+)\)$/, "$1");
+
+  const imageElement =
+    withAttrs((n, a) => n === "enclosure" && a.url && (a.type || "").startsWith("image/")) ||
+    withAttrs((n, a) => (n === "content" || n === "thumbnail") && a.url && (a.medium === "image" || (a.type || "").startsWith("image/") || n === "thumbnail")) ||
+    withAttrs((n, a, key) => n === "link" && a.rel === "enclosure" && (a.type || "").startsWith("image/"));
+  const inlineImage = rawDescription.match(/<img[^>]+src=["']([^"']+)["']/i);
+
+  if (!title && !link) return null;
+
+  return {
+    title,
+    link: link.trim(),
+    pubDate: first("pubDate", "dc:date", "published", "updated", "prism:publicationDate", "prism:coverDate"),
+    description: htmlToText(rawDescription),
+    author: htmlToText(author),
+    guid,
+    image: imageElement?.attrs.url || imageElement?.attrs.href || (inlineImage ? decodeEntities(inlineImage[1]) : ""),
+  };
+}
+
+export function parseFeed(xml) {
+  return new FeedParser().write(xml).end();
+}
@@ -0,0 +1,175 @@
+/**
+ * feeds.js — RSS 2.0, Atom and JSON Feed output, written by `build` (scout/site.js).
+ *
+ *   feed.xml, atom.xml, feed.json                    — the latest articles
+ *   feeds/<category>/feed.xml, atom.xml, feed.json   — one set per category
+ *                                                      (slugs from config/site.json)
+ *
+ * Item ids are urn:uuid values derived from the article id, so they survive a new
+ * domain, a changed slug or an edited title and readers never see an item twice.
+ * Dates come from addedAt; v1 entries without it fall back to the Hebrew
+ * publishDate ("20 במרץ 2026").
+ */
+
+import { createHash } from "crypto";
+import { parseHebrewDate } from "./schema.js";
+import { CATEGORIES } from "./validate.js";
+
+export const FEED_ITEM_LIMIT = 50;
+const GUID_NAMESPACE = "longevity-news-agent:article:";
+
+// ── Helpers ──────────────────────────────────────────────
+
+export function escapeXml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+}
+
+/** Stable item id: a name-based (v5-style) UUID of the article id. */
+export function articleGuid(article) {
+  const hex = createHash("sha1").update(GUID_NAMESPACE + article.id).digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/** When the article went up on the site, as a Date (null if unknown). */
+export function articleDate(article) {
+  const iso = article.addedAt || parseHebrewDate(article.publishDate);
+  return iso ? new Date(iso) : null;
+}
+
+function contentHtml(article) {
+  return `<div dir="rtl" lang="he"><p>${escapeXml(article.summary)}</p>` +
+    (article.bottomLine ? `<p><strong>השורה התחתונה:</strong> ${escapeXml(article.bottomLine)}</p>` : "") +
+    `<p><a href="${escapeXml(article.sourceUrl)}">למקור</a></p></div>`;
+}
+
+function contentText(article) {
+  return [article.summary, article.bottomLine ? `השורה התחתונה: ${article.bottomLine}` : ""].filter(Boolean).join("\n\n");
+}
+
+// ── Formats ──────────────────────────────────────────────
+
+function rss({ title, description, homeUrl, feedUrl, language, items, updated }) {
+  const entries = items.map(({ article, url, date }) => `
+    <item>
+      <title>${escapeXml(article.title)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="false">${articleGuid(article)}</guid>
+      ${date ? `<pubDate>${date.toUTCString()}</pubDate>` : ""}
+      <category>${escapeXml(article.category)}</category>
+      <description>${escapeXml(contentHtml(article))}</description>
+    </item>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xml:lang="${language}">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(homeUrl)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>${language}</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>${entries}
+  </channel>
+</rss>
+`;
+}
+
+function atom({ title, description, homeUrl, feedUrl, language, items, updated, siteName }) {
+  const entries = items.map(({ article, url, date }) => `
+  <entry>
+    <id>${articleGuid(article)}</id>
+    <title>${escapeXml(article.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <link rel="related" href="${escapeXml(article.sourceUrl)}"/>
+    ${date ? `<published>${date.toISOString()}</published>` : ""}
+    <updated>${new Date(article.editedAt || date || updated).toISOString()}</updated>
+    <category term="${escapeXml(article.category)}"/>
+    <summary>${escapeXml(article.bottomLine || article.summary)}</summary>
+    <content type="html">${escapeXml(contentHtml(article))}</content>
+  </entry>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language}">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeXml(siteName)}</name></author>${entries}
+</feed>
+`;
+}
+
+function jsonFeed({ title, description, homeUrl, feedUrl, language, items, siteName }) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    description,
+    home_page_url: homeUrl,
+    feed_url: feedUrl,
+    language,
+    authors: [{ name: siteName }],
+    items: items.map(({ article, url, date }) => ({
+      id: articleGuid(article),
+      url,
+      external_url: article.sourceUrl,
+      title: article.title,
+      summary: article.bottomLine || undefined,
+      content_html: contentHtml(article),
+      content_text: contentText(article),
+      date_published: date ? date.toISOString() : undefined,
+      date_modified: article.editedAt || undefined,
+      tags: [article.category, ...(article.tags || [])],
+      language,
+    })),
+  }, null, 2) + "\n";
+}
+
+// ── Build ────────────────────────────────────────────────
+
+/** Path of a category's feeds relative to the site root, e.g. "feeds/nutrition/". */
+export function categoryFeedDir(config, category) {
+  const slug = config.categories?.[category];
+  if (!slug) throw new Error(`config/site.json has no categories entry for "${category}"`);
+  return `feeds/${slug}/`;
+}
+
+/**
+ * Returns [{ path, body }] for the site-wide feeds and one set per category.
+ * `articleUrl(article)` gives the absolute URL of an article page.
+ */
+export function buildFeeds(articles, { config, articleUrl, now = new Date() }) {
+  const sets = [
+    { dir: "", title: config.name, description: config.description, homeUrl: `${config.baseUrl}/`, articles },
+    ...CATEGORIES.map((category) => ({
+      dir: categoryFeedDir(config, category),
+      title: `${config.name} — ${category}`,
+      description: `${category} — ${config.description}`,
+      homeUrl: `${config.baseUrl}/archive.html?cat=${encodeURIComponent(category)}`,
+      articles: articles.filter((a) => a.category === category),
+    })),
+  ];
+
+  const files = [];
+  for (const set of sets) {
+    const items = set.articles.slice(0, FEED_ITEM_LIMIT).map((article) => ({ article, url: articleUrl(article), date: articleDate(article) }));
+    const updated = items.reduce((latest, { date }) => (date && date > latest ? date : latest), new Date(0));
+    const shared = {
+      title: set.title,
+      description: set.description,
+      homeUrl: set.homeUrl,
+      language: config.language,
+      siteName: config.name,
+      items,
+      updated: items.length ? updated : now,
+    };
+    const url = (name) => `${config.baseUrl}/${set.dir}${name}`;
+    files.push(
+      { path: `${set.dir}feed.xml`, body: rss({ ...shared, feedUrl: url("feed.xml") }) },
+      { path: `${set.dir}atom.xml`, body: atom({ ...shared, feedUrl: url("atom.xml") }) },
+      { path: `${set.dir}feed.json`, body: jsonFeed({ ...shared, feedUrl: url("feed.json") }) }
+    );
+  }
+  return files;
+}
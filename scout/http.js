@@ -0,0 +1,204 @@
+/**
+ * http.js — Shared HTTP client for sources, enrichment and the summarizer.
+ *
+ *   - Timeout per attempt (AbortSignal)
+ *   - Exponential backoff with jitter on network errors, 429 and 5xx,
+ *     honoring Retry-After (seconds or HTTP date)
+ *   - Per-host concurrency and request spacing (NCBI allows 3 req/s without a key)
+ *   - Conditional GET (ETag / Last-Modified) backed by an on-disk cache, so
+ *     unchanged feeds come back as 304 and are served from .cache/http
+ *
+ * Returns a standard Response; callers keep checking `res.ok` themselves.
+ */
+
+import { createHash } from "crypto";
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const settings = {
+  timeoutMs: 20000,
+  retries: 3,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  cache: true,
+  cacheDir: resolve(__dirname, "../.cache/http"),
+  userAgent: "longevity-news-agent/1.0 (+https://github.com/RobertoG62/longevity-news-agent)",
+};
+
+const HOST_LIMITS = {
+  "eutils.ncbi.nlm.nih.gov": { concurrency: 1, minIntervalMs: 340 },
+  "api.openalex.org": { concurrency: 2, minIntervalMs: 100 },
+  "news.google.com": { concurrency: 2, minIntervalMs: 250 },
+  "api.anthropic.com": { concurrency: 2, minIntervalMs: 0 },
+};
+const DEFAULT_HOST_LIMIT = { concurrency: 4, minIntervalMs: 0 };
+
+export function configureHttp(options) {
+  Object.assign(settings, options);
+}
+
+// ── Per-host limiter ─────────────────────────────────────
+
+const limiters = new Map();
+
+function limiterFor(host) {
+  if (!limiters.has(host)) {
+    const { concurrency, minIntervalMs } = HOST_LIMITS[host] || DEFAULT_HOST_LIMIT;
+    limiters.set(host, { concurrency, minIntervalMs, active: 0, lastStart: 0, waiting: [] });
+  }
+  return limiters.get(host);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function acquire(limiter) {
+  if (limiter.active >= limiter.concurrency) {
+    // release() hands its slot straight to the next waiter.
+    await new Promise((r) => limiter.waiting.push(r));
+  } else {
+    limiter.active++;
+  }
+  const wait = Math.max(0, limiter.lastStart + limiter.minIntervalMs - Date.now());
+  limiter.lastStart = Date.now() + wait;
+  if (wait > 0) await sleep(wait);
+}
+
+function release(limiter) {
+  const next = limiter.waiting.shift();
+  if (next) next();
+  else limiter.active--;
+}
+
+// ── Disk cache ───────────────────────────────────────────
+
+function cachePaths(url) {
+  const key = createHash("sha1").update(url).digest("hex");
+  return { meta: resolve(settings.cacheDir, `${key}.json`), body: resolve(settings.cacheDir, `${key}.body`) };
+}
+
+function readCache(url) {
+  const paths = cachePaths(url);
+  if (!existsSync(paths.meta) || !existsSync(paths.body)) return null;
+  try {
+    return { meta: JSON.parse(readFileSync(paths.meta, "utf-8")), body: readFileSync(paths.body) };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, res, body) {
+  const etag = res.headers.get("etag");
+  const lastModified = res.headers.get("last-modified");
+  if (!etag && !lastModified) return;
+
+  const paths = cachePaths(url);
+  mkdirSync(settings.cacheDir, { recursive: true });
+  writeFileSync(paths.body, body);
+  writeFileSync(
+    paths.meta,
+    JSON.stringify({
+      url,
+      etag,
+      lastModified,
+      contentType: res.headers.get("content-type"),
+      finalUrl: res.url,
+      storedAt: new Date().toISOString(),
+    })
+  );
+}
+
+function cachedResponse(entry) {
+  const res = new Response(entry.body, {
+    status: 200,
+    headers: entry.meta.contentType ? { "content-type": entry.meta.contentType, "x-cache": "revalidated" } : { "x-cache": "revalidated" },
+  });
+  Object.defineProperty(res, "url", { value: entry.meta.finalUrl || entry.meta.url });
+  return res;
+}
+
+// ── Retry policy ─────────────────────────────────────────
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, res) {
+  const header = res?.headers.get("retry-after");
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (ms > 0) return Math.min(ms, settings.maxBackoffMs);
+  }
+  const base = settings.backoffMs * 2 ** attempt;
+  return Math.min(base + Math.random() * base * 0.25, settings.maxBackoffMs);
+}
+
+// ── Local files ──────────────────────────────────────────
+
+const CONTENT_TYPES = { ".xml": "application/xml", ".json": "application/json", ".html": "text/html" };
+
+// file: URLs (absolute, or relative to the repo root) let offline fixtures stand in for feeds.
+function fileResponse(url) {
+  const rest = url.slice("file:".length);
+  const path = rest.startsWith("//") ? fileURLToPath(url) : resolve(__dirname, "..", rest);
+  if (!existsSync(path)) return new Response("not found", { status: 404 });
+  const ext = path.slice(path.lastIndexOf("."));
+  return new Response(readFileSync(path), { status: 200, headers: { "content-type": CONTENT_TYPES[ext] || "text/plain" } });
+}
+
+// ── Client ───────────────────────────────────────────────
+
+/**
+ * fetch() with timeout, retries, per-host limits and conditional-GET caching.
+ * Extra options: timeoutMs, retries, cache (false to bypass the disk cache).
+ */
+export async function httpFetch(url, options = {}) {
+  if (url.startsWith("file:")) return fileResponse(url);
+
+  const { timeoutMs = settings.timeoutMs, retries = settings.retries, cache = settings.cache, ...init } = options;
+  const method = (init.method || "GET").toUpperCase();
+  const useCache = cache && method === "GET";
+  const limiter = limiterFor(new URL(url).host);
+
+  const headers = new Headers(init.headers);
+  if (!headers.has("user-agent")) headers.set("user-agent", settings.userAgent);
+
+  const cached = useCache ? readCache(url) : null;
+  if (cached?.meta.etag) headers.set("if-none-match", cached.meta.etag);
+  if (cached?.meta.lastModified) headers.set("if-modified-since", cached.meta.lastModified);
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    let error;
+
+    await acquire(limiter);
+    try {
+      res = await fetch(url, { ...init, headers, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      error = e.name === "TimeoutError" ? new Error(`timed out after ${timeoutMs}ms`) : new Error(e.cause?.message || e.message);
+    } finally {
+      release(limiter);
+    }
+
+    if (res && res.status === 304 && cached) return cachedResponse(cached);
+
+    if (res && (!isRetryable(res.status) || attempt >= retries)) {
+      if (!useCache || !res.ok) return res;
+      const body = Buffer.from(await res.arrayBuffer());
+      writeCache(url, res, body);
+      const copy = new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+      Object.defineProperty(copy, "url", { value: res.url });
+      return copy;
+    }
+
+    if (error && attempt >= retries) {
+      throw new Error(`${new URL(url).host}: ${error.message} (after ${attempt + 1} attempts)`);
+    }
+
+    await res?.body?.cancel();
+    await sleep(retryDelay(attempt, res));
+  }
+}
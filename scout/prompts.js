@@ -0,0 +1,103 @@
+/**
+ * prompts.js — Versioned prompt templates for the summarizer.
+ *
+ * Templates live in prompts/<name>.md: a front-matter block (`version`,
+ * `description`) followed by the prompt text with {{variables}}:
+ *
+ *   {{categories}}        — the allowed category list
+ *   {{categoryGuidance}}  — per-category editorial rules from prompts/category-guidance.json
+ *   {{topics}}            — the topic tags from config/topics.json (see scout/topics.js)
+ *   {{studyTypes}}        — the study types the summarizer may report (see scout/evidence.js)
+ *   {{repair}}            — prompts/partials/repair.md on repair rounds, empty otherwise
+ *   {{items}}             — the formatted candidates
+ *
+ * Each generated article records `promptVersion` as "<name>@<version>".
+ */
+
+import { readFileSync, readdirSync, existsSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { CATEGORIES } from "./validate.js";
+import { loadTopics, TOPICS_PATH } from "./topics.js";
+import { studyTypesForPrompt } from "./evidence.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const PROMPTS_DIR = resolve(__dirname, "../prompts");
+export const DEFAULT_PROMPT = "default";
+
+function parseFrontMatter(raw) {
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: raw };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const kv = line.match(/^([\w-]+):\s*(.*)$/);
+    if (kv) meta[kv[1]] = kv[2].trim();
+  }
+  return { meta, body: raw.slice(match[0].length) };
+}
+
+export function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, key) => {
+    if (!(key in vars)) throw new Error(`Prompt template uses unknown variable {{${key}}}`);
+    return vars[key];
+  });
+}
+
+export function listPrompts(dir = PROMPTS_DIR) {
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".md"))
+    .map((file) => {
+      const name = file.slice(0, -3);
+      const { meta } = parseFrontMatter(readFileSync(resolve(dir, file), "utf-8"));
+      return { name, version: meta.version || "0", description: meta.description || "" };
+    });
+}
+
+function loadCategoryGuidance(dir) {
+  const path = resolve(dir, "category-guidance.json");
+  if (!existsSync(path)) return "";
+  const guidance = JSON.parse(readFileSync(path, "utf-8"));
+  const lines = CATEGORIES.filter((c) => guidance[c]).map((c) => `- "${c}": ${guidance[c]}`);
+  return lines.length ? `הנחיות לפי קטגוריה:\n${lines.join("\n")}\n` : "";
+}
+
+export function loadPrompt(name = DEFAULT_PROMPT, dir = PROMPTS_DIR) {
+  const path = resolve(dir, `${name}.md`);
+  if (!existsSync(path)) {
+    const available = listPrompts(dir).map((p) => p.name).join(", ");
+    throw new Error(`Unknown prompt "${name}" (available: ${available})`);
+  }
+
+  const { meta, body } = parseFrontMatter(readFileSync(path, "utf-8"));
+  const repairPath = resolve(dir, "partials/repair.md");
+  const repair = existsSync(repairPath) ? readFileSync(repairPath, "utf-8").trim() : "";
+  const categoryGuidance = loadCategoryGuidance(dir);
+  const topics = existsSync(TOPICS_PATH) ? loadTopics().topics.map((t) => `"${t.tag}"`).join(", ") : "";
+  const version = meta.version || "0";
+
+  return {
+    name,
+    version,
+    id: `${name}@${version}`,
+    render(entries, { repair: isRepair = false } = {}) {
+      return renderTemplate(body, {
+        categories: CATEGORIES.map((c) => `"${c}"`).join(", "),
+        categoryGuidance,
+        topics,
+        studyTypes: studyTypesForPrompt(),
+        repair: isRepair ? `${repair}\n` : "",
+        items: entries.join("\n\n"),
+      }).replace(/\n{3,}/g, "\n\n");
+    },
+  };
+}
+
+export function formatItem(item, i) {
+  let entry = `[${i + 1}] Title: ${item.title}\n    Source: ${item.source}\n    URL: ${item.link}\n    Date: ${item.pubDate}`;
+  if (item.text) entry += `\n    Text (${item.textSource}): ${item.text}`;
+  else if (item.description) entry += `\n    Description: ${item.description.slice(0, 600)}`;
+  if (item.publicationTypes?.length) entry += `\n    Publication types: ${item.publicationTypes.join(", ")}`;
+  if (item.categoryHint) entry += `\n    Suggested category: ${item.categoryHint}`;
+  return entry;
+}
@@ -0,0 +1,55 @@
+/**
+ * queue.js — Candidates carried over to the next run.
+ *
+ * content/queue.json holds candidates that were found but not summarized —
+ * over the per-run cap, or in a batch that failed. The next run summarizes
+ * them first. Entries give up after MAX_QUEUE_ATTEMPTS runs or MAX_QUEUE_AGE_DAYS.
+ */
+
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { readJsonList, writeJsonAtomic } from "./store.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const QUEUE_PATH = resolve(__dirname, "../content/queue.json");
+
+export const MAX_QUEUE_ATTEMPTS = 3;
+export const MAX_QUEUE_AGE_DAYS = 14;
+
+export function loadQueue(path = QUEUE_PATH) {
+  return readJsonList(path, { label: "queue" });
+}
+
+export function saveQueue(entries, path = QUEUE_PATH) {
+  writeJsonAtomic(path, entries);
+}
+
+/** Splits queue entries into ones still worth retrying and ones that expired. */
+export function pruneQueue(entries, now = new Date()) {
+  const maxAge = MAX_QUEUE_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const live = [];
+  const expired = [];
+  for (const entry of entries) {
+    const age = now - new Date(entry.queuedAt);
+    if (entry.attempts >= MAX_QUEUE_ATTEMPTS || age > maxAge) expired.push(entry);
+    else live.push(entry);
+  }
+  return { live, expired };
+}
+
+/**
+ * Builds the queue to persist: previous entries keep their queuedAt and get
+ * one more attempt when they were tried again this run.
+ */
+export function buildQueue(items, { previous = [], reason, attempted = true, now = new Date() }) {
+  const prior = new Map(previous.map((entry) => [entry.item.canonicalUrl, entry]));
+  return items.map(({ abstractIndex, ...item }) => {
+    const before = prior.get(item.canonicalUrl);
+    return {
+      item,
+      queuedAt: before?.queuedAt || now.toISOString(),
+      attempts: (before?.attempts || 0) + (attempted ? 1 : 0),
+      reason,
+    };
+  });
+}
@@ -0,0 +1,127 @@
+/**
+ * related.js — Precomputed "related reading", written to content/related.json.
+ *
+ * Every pair of articles gets a similarity score from:
+ *
+ *   keywords   — TF-IDF cosine over title + summary (Hebrew stems from js/search.js,
+ *                title words counted twice)                              × 4
+ *   tags       — per shared tag                                          + 1.5
+ *   doi        — same study (different coverage of one paper)            + 2
+ *   source     — same journal / outlet (sourceName)                      + 0.5
+ *   category   — same category                                           + 1
+ *
+ * Pairs below MIN_SCORE (same category and nothing else in common) are left
+ * out; the pages fill the gap with same-category articles at runtime
+ * (js/related.js). related.json maps each id to up to RELATED_LIMIT ids, best first.
+ */
+
+import { loadSearchEngine } from "./search.js";
+
+export const RELATED_LIMIT = 6;
+const MIN_SCORE = 1.2;
+
+// Terms in more than this share of the articles ("aging", "study") say nothing about topic.
+const MAX_DOC_FREQUENCY = 0.3;
+
+const WEIGHTS = { keywords: 4, tag: 1.5, doi: 2, source: 0.5, category: 1 };
+
+// ── Keyword vectors ──────────────────────────────────────
+
+function termCounts(article, keywords) {
+  const counts = new Map();
+  const add = (terms, times) => {
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + times);
+  };
+  add(keywords(article.title), 2);
+  add(keywords(article.summary), 1);
+  return counts;
+}
+
+/** Unit-length TF-IDF vectors (Map term → weight) plus the postings for shared terms. */
+function tfidf(articles) {
+  const { keywords } = loadSearchEngine();
+  const counts = articles.map((a) => termCounts(a, keywords));
+
+  const df = new Map();
+  for (const terms of counts) for (const term of terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+
+  const vectors = counts.map((terms) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of terms) {
+      const weight = (1 + Math.log(count)) * Math.log(articles.length / df.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+
+  // Only terms that two or more articles share (and not too many) can link them.
+  const maxDf = Math.max(2, Math.floor(articles.length * MAX_DOC_FREQUENCY));
+  const postings = new Map();
+  vectors.forEach((vector, doc) => {
+    for (const term of vector.keys()) {
+      const n = df.get(term);
+      if (n < 2 || n > maxDf) continue;
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(doc);
+    }
+  });
+  return { vectors, postings };
+}
+
+// ── Scoring ──────────────────────────────────────────────
+
+function groupBy(articles, key) {
+  const groups = new Map();
+  articles.forEach((article, doc) => {
+    for (const value of key(article)) {
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(doc);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Returns { [id]: [relatedId, ...] } — up to `limit` ids per article, best first.
+ * Pairs are only ever compared through something they share, so this stays
+ * well under N² for a large archive.
+ */
+export function computeRelated(articles, { limit = RELATED_LIMIT } = {}) {
+  const { vectors, postings } = tfidf(articles);
+  const scores = articles.map(() => new Map());
+  const addPair = (a, b, amount) => {
+    scores[a].set(b, (scores[a].get(b) || 0) + amount);
+    scores[b].set(a, (scores[b].get(a) || 0) + amount);
+  };
+  const eachPair = (docs, fn) => {
+    for (let i = 0; i < docs.length; i++) for (let j = i + 1; j < docs.length; j++) fn(docs[i], docs[j]);
+  };
+
+  for (const [term, docs] of postings) {
+    eachPair(docs, (a, b) => addPair(a, b, WEIGHTS.keywords * vectors[a].get(term) * vectors[b].get(term)));
+  }
+  for (const docs of groupBy(articles, (a) => new Set((a.tags || []).map((t) => t.toLowerCase()))).values()) {
+    eachPair(docs, (a, b) => addPair(a, b, WEIGHTS.tag));
+  }
+  for (const docs of groupBy(articles, (a) => (a.doi ? [a.doi.toLowerCase()] : [])).values()) {
+    eachPair(docs, (a, b) => addPair(a, b, WEIGHTS.doi));
+  }
+  for (const docs of groupBy(articles, (a) => (a.sourceName ? [a.sourceName.toLowerCase()] : [])).values()) {
+    eachPair(docs, (a, b) => addPair(a, b, WEIGHTS.source));
+  }
+
+  const related = {};
+  articles.forEach((article, doc) => {
+    related[article.id] = [...scores[doc]]
+      .map(([other, score]) => [other, score + (articles[other].category === article.category ? WEIGHTS.category : 0)])
+      .filter(([, score]) => score >= MIN_SCORE)
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, limit)
+      .map(([other]) => articles[other].id);
+  });
+  return related;
+}
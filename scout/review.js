@@ -0,0 +1,197 @@
+/**
+ * review.js — `node auto-scout.js review <command>` for the drafts store.
+ *
+ *   review list [--status=pending|held|approved]
+ *                                              — Show drafts (all, or those with one status)
+ *   review show <id>                           — Print one draft in full
+ *   review approve <id> [--override]           — Mark a draft ready to publish (--override for drafts
+ *                                                held by the safety check, see scout/safety.js)
+ *   review edit <id> [--title=… --summary=… --bottomLine=… --category=… --tags=a,b]
+ *                                              — Edit fields inline, or in $EDITOR when none are given
+ *                                                (the $EDITOR file also has the English edition, translations.en)
+ *   review reject <id> --reason="…"            — Drop a draft and never scout its source again
+ *   review publish [--dry-run]                 — Move approved drafts into content/articles.json
+ *
+ * Edited drafts are re-validated (scout/validate.js) and re-checked for safety
+ * (scout/safety.js) before they are saved.
+ * Changes are made under the content store lock (scout/store.js), re-reading
+ * the drafts inside it so the admin server or a running scout aren't overwritten.
+ */
+
+import { readFileSync, writeFileSync, rmSync, mkdtempSync } from "fs";
+import { spawnSync } from "child_process";
+import { tmpdir } from "os";
+import { join } from "path";
+import { validateSummary } from "./validate.js";
+import { loadSafetyRules, recheckDraft, formatFlag } from "./safety.js";
+import { loadArticles, saveArticles, withLock } from "./store.js";
+import {
+  loadDrafts,
+  saveDrafts,
+  loadRejected,
+  saveRejected,
+  findDraft,
+  rejectionRecord,
+  publishApproved,
+  approveDraft,
+  EDITABLE_FIELDS,
+} from "./drafts.js";
+
+function printDraft(draft, { full = false } = {}) {
+  console.log(`  ${draft.id}  [${draft.status}] [${draft.category}] ${draft.title}`);
+  if (full) {
+    console.log(`      ${draft.summary}`);
+    console.log(`      ⮑ ${draft.bottomLine}`);
+    if (draft.tags?.length) console.log(`      Tags: ${draft.tags.join(", ")}`);
+    if (draft.translations?.en) {
+      const { title, summary, bottomLine } = draft.translations.en;
+      console.log(`      English: ${title}\n        ${summary}\n        ⮑ ${bottomLine}`);
+    }
+    for (const flag of draft.safetyFlags || []) console.log(`      ⚠ ${formatFlag(flag)}`);
+    if (draft.evidence) {
+      const { studyType, sampleSize, strength, basis } = draft.evidence;
+      console.log(`      Evidence: ${studyType}${sampleSize ? `, n=${sampleSize}` : ""} — ${strength} (from ${basis})`);
+    }
+  } else {
+    console.log(`      ⮑ ${draft.bottomLine}`);
+  }
+  console.log(`      ${draft.sourceName || draft.origin || "?"} — ${draft.sourceUrl}`);
+  if (draft.originalTitle) console.log(`      Original: ${draft.originalTitle}`);
+  console.log(`      Drafted ${draft.draftedAt.slice(0, 16).replace("T", " ")}${draft.promptVersion ? ` (${draft.promptVersion}, ${draft.model})` : ""}`);
+  console.log();
+}
+
+function parseFieldEdits(option) {
+  const edits = {};
+  for (const field of EDITABLE_FIELDS) {
+    const value = option(field);
+    if (value === undefined) continue;
+    edits[field] = field === "tags" ? value.split(",").map((t) => t.trim()).filter(Boolean) : value;
+  }
+  return edits;
+}
+
+function editInEditor(draft) {
+  const dir = mkdtempSync(join(tmpdir(), "review-"));
+  const path = join(dir, `${draft.id}.json`);
+  const editable = Object.fromEntries(EDITABLE_FIELDS.map((f) => [f, draft[f]]));
+  writeFileSync(path, JSON.stringify(editable, null, 2) + "\n", "utf-8");
+
+  const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+  try {
+    const result = spawnSync(editor, [path], { stdio: "inherit", shell: true });
+    if (result.status !== 0) throw new Error(`${editor} exited with status ${result.status}`);
+    try {
+      return JSON.parse(readFileSync(path, "utf-8"));
+    } catch (e) {
+      throw new Error(`Edited draft is not valid JSON: ${e.message}`);
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Applies edits to a draft or article; throws with the validation errors if the
+ * result is invalid. Drafts are re-checked for safety and held or released; an
+ * approved draft goes back to pending, since the changed text wasn't approved.
+ */
+export function applyEdits(draft, edits, now = new Date()) {
+  const unknown = Object.keys(edits).filter((f) => !EDITABLE_FIELDS.includes(f));
+  if (unknown.length) throw new Error(`Fields cannot be edited: ${unknown.join(", ")}`);
+
+  const next = { ...draft, ...edits };
+  if (next.tags !== undefined && (!Array.isArray(next.tags) || next.tags.some((t) => typeof t !== "string"))) {
+    throw new Error("tags must be an array of strings");
+  }
+  const errors = validateSummary(next);
+  if (errors.length) {
+    const error = new Error(`Edit rejected:\n    - ${errors.join("\n    - ")}`);
+    error.errors = errors;
+    throw error;
+  }
+  let checked = next.status ? recheckDraft(next, loadSafetyRules()) : next;
+  if (draft.status === "approved") {
+    const { reviewedAt, safetyOverride, ...rest } = checked;
+    checked = { ...rest, status: checked.status === "approved" ? "pending" : checked.status };
+  }
+  return { ...checked, editedAt: now.toISOString() };
+}
+
+export async function runReview(args, { contentPath, draftsPath, rejectedPath }) {
+  const [command, id] = args.filter((a) => !a.startsWith("--"));
+  const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const locked = (fn) => withLock(contentPath, () => fn(loadDrafts(draftsPath)));
+
+  switch (command) {
+    case "list":
+    case undefined: {
+      const drafts = loadDrafts(draftsPath);
+      const status = option("status");
+      const shown = drafts.filter((d) => (status ? d.status === status : true));
+      const count = (s) => drafts.filter((d) => d.status === s).length;
+      console.log(`${drafts.length} drafts (${count("pending")} pending, ${count("held")} held, ${count("approved")} approved)\n`);
+      for (const draft of shown) printDraft(draft);
+      return;
+    }
+
+    case "show":
+      printDraft(findDraft(loadDrafts(draftsPath), id), { full: true });
+      return;
+
+    case "approve":
+      return locked((drafts) => {
+        const draft = findDraft(drafts, id);
+        approveDraft(draft, { override: args.includes("--override") });
+        saveDrafts(drafts, draftsPath);
+        console.log(`Approved ${draft.id}: ${draft.title}`);
+      });
+
+    case "edit": {
+      const inline = parseFieldEdits(option);
+      // The editor can stay open for a while, so it runs before taking the lock.
+      const edits = Object.keys(inline).length ? inline : editInEditor(findDraft(loadDrafts(draftsPath), id));
+      return locked((drafts) => {
+        const draft = findDraft(drafts, id);
+        const next = applyEdits(draft, edits);
+        drafts[drafts.indexOf(draft)] = next;
+        saveDrafts(drafts, draftsPath);
+        console.log(`Saved ${draft.id}${draft.status === "approved" ? " (approve it again to publish)" : ""}:`);
+        printDraft(next, { full: true });
+      });
+    }
+
+    case "reject": {
+      const reason = option("reason");
+      if (!reason) throw new Error('review reject needs --reason="…"');
+      return locked((drafts) => {
+        const draft = findDraft(drafts, id);
+        const rejected = loadRejected(rejectedPath);
+        rejected.push(rejectionRecord(draft, reason));
+        saveRejected(rejected, rejectedPath);
+        saveDrafts(drafts.filter((d) => d !== draft), draftsPath);
+        console.log(`Rejected ${draft.id}: ${draft.title} — ${reason}`);
+      });
+    }
+
+    case "publish":
+      return locked((drafts) => {
+        const { articles, published, remaining } = publishApproved(drafts, loadArticles(contentPath));
+        if (published.length === 0) {
+          console.log("Nothing approved to publish.");
+          return;
+        }
+        for (const article of published) console.log(`  PUBLISH #${article.id}: ${article.title.slice(0, 60)}...`);
+        if (args.includes("--dry-run")) {
+          console.log(`\nDry run — ${published.length} would be published, nothing written.`);
+          return;
+        }
+        saveArticles(contentPath, articles);
+        saveDrafts(remaining, draftsPath);
+        console.log(`\nDone: ${published.length} published, ${articles.length} total, ${remaining.length} drafts left.`);
+      });
+
+    default:
+      throw new Error(`Unknown review command "${command}" (expected list, show, approve, edit, reject, publish)`);
+  }
+}
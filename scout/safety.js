@@ -0,0 +1,160 @@
+/**
+ * safety.js — Medical-safety checks on summarizer output, from config/safety.json.
+ *
+ * Three kinds of check run on the Hebrew title / summary / bottomLine (and their
+ * `translations`, so a number can't slip in through the English edition):
+ *
+ *   rules         — phrase rules ("hype", "dosage", "stop-medication"…): each is
+ *                   { id, message, patterns }, patterns being regular expressions
+ *                   matched as whole Hebrew words, behind up to two prefix letters
+ *                   (ו, ה, ב, ל, מ, ש, כ — "ולרפא", "במינון")
+ *   numbers       — every number in the summary must appear in the source text the
+ *                   summarizer was given (headline, abstract or page text); rounding
+ *                   (34.7 → 35) and English number words ("five") count as present.
+ *                   Skipped when there is no source text.
+ *   animalCaveat  — an article whose evidence.studyType (scout/evidence.js) is in
+ *                   `studyTypes` must say so — one of the `caveats` patterns
+ *                   ("בעכברים", "טרם נבדק בבני אדם"…)
+ *
+ * Flags are { rule, message, match }. `--auto` stores flagged drafts with status
+ * "held"; they are listed in the run report and can't be approved until an edit
+ * clears the flags or the editor approves with --override (see scout/review.js).
+ */
+
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const SAFETY_PATH = resolve(__dirname, "../config/safety.json");
+
+const DEFAULT_FIELDS = ["title", "summary", "bottomLine"];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90, hundred: 100, dozen: 12, twice: 2, double: 2, doubled: 2,
+  triple: 3, tripled: 3, half: 50,
+};
+
+// ── Config ───────────────────────────────────────────────
+
+const LETTER = "\\u05D0-\\u05EAa-zA-Z0-9";
+
+function wordPattern(source, path) {
+  try {
+    return new RegExp(`(?:^|[^${LETTER}])([והבלמשכ]{0,2}(?:${source}))(?![${LETTER}])`, "g");
+  } catch (e) {
+    throw new Error(`${path}: invalid pattern "${source}": ${e.message}`);
+  }
+}
+
+/** { fields, rules: [{ id, message, patterns }], numbers, animalCaveat } with patterns compiled. */
+export function loadSafetyRules(path = SAFETY_PATH) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read safety config ${path}: ${e.message}`);
+  }
+
+  const rules = (config.rules || []).map((rule, i) => {
+    if (!rule.id || !Array.isArray(rule.patterns)) throw new Error(`${path}: rule #${i + 1} needs "id" and a "patterns" array`);
+    return { id: rule.id, message: rule.message || rule.id, patterns: rule.patterns.map((p) => wordPattern(p, path)) };
+  });
+  const caveat = config.animalCaveat || {};
+  return {
+    fields: config.fields || DEFAULT_FIELDS,
+    rules,
+    numbers: { enabled: false, ignoreBelow: 0, ...config.numbers },
+    animalCaveat: {
+      enabled: false,
+      studyTypes: [],
+      ...caveat,
+      caveats: (caveat.caveats || []).map((p) => wordPattern(p, path)),
+    },
+  };
+}
+
+// ── Numbers ──────────────────────────────────────────────
+
+/** Numbers written in digits ("4,200", "35%", "1.5"), as Numbers. */
+export function numbersIn(text) {
+  return [...String(text || "").matchAll(/\d+(?:[.,]\d+)*/g)].map(([raw]) => {
+    const plain = /^\d{1,3}(?:,\d{3})+$/.test(raw) ? raw.replace(/,/g, "") : raw.replace(/,/g, ".");
+    return parseFloat(plain);
+  });
+}
+
+function sourceNumbers(text) {
+  const words = [...String(text).toLowerCase().matchAll(/[a-z]+/g)].map(([w]) => NUMBER_WORDS[w]).filter(Boolean);
+  return [...numbersIn(text), ...words];
+}
+
+function foundIn(value, known) {
+  return known.some((n) => n === value || Math.round(n) === value || Math.round(n * 10) / 10 === value);
+}
+
+// ── Checks ───────────────────────────────────────────────
+
+function firstMatch(patterns, text) {
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function checkedText(article, config) {
+  const versions = [article, ...Object.values(article.translations || {})];
+  return versions.flatMap((v) => config.fields.map((f) => v[f])).filter(Boolean).join("\n");
+}
+
+/**
+ * Flags for a summarized article. `candidate` supplies the source text for the
+ * numbers check; without one (or without text) that check is skipped.
+ */
+export function checkSafety(article, candidate, config) {
+  const text = checkedText(article, config);
+  const flags = [];
+
+  for (const rule of config.rules) {
+    const match = firstMatch(rule.patterns, text);
+    if (match) flags.push({ rule: rule.id, message: rule.message, match });
+  }
+
+  const source = [candidate?.title, candidate?.text || candidate?.description].filter(Boolean).join("\n");
+  if (config.numbers.enabled && (candidate?.text || candidate?.description)) {
+    const known = sourceNumbers(source);
+    const missing = [...new Set(numbersIn(text))].filter((n) => n >= config.numbers.ignoreBelow && !foundIn(n, known));
+    for (const n of missing) flags.push({ rule: "numbers", message: config.numbers.message, match: String(n) });
+  }
+
+  const { animalCaveat } = config;
+  if (animalCaveat.enabled && animalCaveat.studyTypes.includes(article.evidence?.studyType) && !firstMatch(animalCaveat.caveats, text)) {
+    flags.push({ rule: "animal-caveat", message: animalCaveat.message, match: article.evidence.studyType });
+  }
+  return flags;
+}
+
+/**
+ * Re-runs the checks on an edited draft. Number flags can't be re-checked
+ * without the source text, so they stay while the number is still in the text.
+ * Returns the draft held with the remaining flags, or pending with none.
+ */
+export function recheckDraft(draft, config) {
+  const { safetyFlags, ...rest } = draft;
+  const present = new Set(numbersIn(checkedText(draft, config)).map(String));
+  const flags = [
+    ...checkSafety(draft, null, config),
+    ...(safetyFlags || []).filter((f) => f.rule === "numbers" && present.has(f.match)),
+  ];
+  if (flags.length) return { ...rest, status: "held", safetyFlags: flags };
+  return { ...rest, status: draft.status === "held" ? "pending" : draft.status };
+}
+
+export function formatFlag(flag) {
+  return `${flag.rule}: ${flag.message} («${flag.match}»)`;
+}
@@ -0,0 +1,201 @@
+/**
+ * schema.js — Stored article schema (v2) and the v1 → v2 migration.
+ *
+ * v1 entries only had id, title, summary, bottomLine, category, a localized
+ * publishDate ("20 במרץ 2026") and sourceUrl. v2 adds machine-readable fields:
+ *
+ *   addedAt        — ISO timestamp when the article was added to the site
+ *   publishedAt    — ISO timestamp of the original publication (from the feed), or null
+ *   origin         — config/sources.json source name ("pubmed", "google-news"…), or null
+ *   sourceName     — outlet / journal name as reported by the source, or null
+ *   originalTitle  — the source headline before translation, or null
+ *   doi, pmid      — identifiers when known, or null
+ *   tags           — topic tags, normally from the config/topics.json vocabulary
+ *                    (see scout/topics.js); array, possibly empty
+ *   evidence       — { studyType, sampleSize, strength, basis } (see scout/evidence.js), or null
+ *   locale         — language of title / summary / bottomLine: "he"
+ *   translations   — the same three fields in other languages, keyed by locale
+ *                    ({ en: { title, summary, bottomLine } }, see scout/validate.js); possibly empty
+ *   slug           — "<id>-<title words>", the static page name (articles/<slug>.html);
+ *                    set once so edits to the title don't move the page
+ *   schemaVersion  — 2
+ *
+ * publishDate is kept as the display string the frontend renders.
+ */
+
+import { normalizeDoi, pmidFromUrl } from "./dedupe.js";
+
+export const SCHEMA_VERSION = 2;
+
+export const DEFAULT_LOCALE = "he";
+
+const SLUG_MAX_LENGTH = 60;
+
+const HEBREW_MONTHS = ["ינואר", "פברואר", "מרץ", "אפריל", "מאי", "יוני", "יולי", "אוגוסט", "ספטמבר", "אוקטובר", "נובמבר", "דצמבר"];
+
+// Sources the v1 scout used, recognized by host when migrating old entries.
+const LEGACY_HOSTS = {
+  "news.google.com": { origin: "google-news", sourceName: null },
+  "sciencedaily.com": { origin: "sciencedaily", sourceName: "ScienceDaily" },
+  "medicalnewstoday.com": { origin: "medicalnewstoday", sourceName: "Medical News Today" },
+  "pubmed.ncbi.nlm.nih.gov": { origin: "pubmed", sourceName: null },
+  "doi.org": { origin: "openalex", sourceName: null },
+};
+
+// ── Dates ────────────────────────────────────────────────
+
+/** Display date as the site has always shown it, e.g. "20 במרץ 2026". */
+export function hebrewDate(date = new Date()) {
+  return date.toLocaleDateString("he-IL", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/** Parses "20 במרץ 2026" (with or without the ב prefix) to an ISO timestamp, or null. */
+export function parseHebrewDate(value) {
+  const match = String(value || "").trim().match(/^(\d{1,2})\s+ב?(\S+)\s+(\d{4})$/);
+  if (!match) return null;
+  const month = HEBREW_MONTHS.indexOf(match[2]);
+  const day = Number(match[1]);
+  if (month === -1 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(Number(match[3]), month, day)).toISOString();
+}
+
+/** Normalizes a feed date (RFC 822, ISO 8601, PubMed "2026 Mar 15") to ISO, or null. */
+export function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(String(value).trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// ── Slugs ────────────────────────────────────────────────
+
+/**
+ * "<id>-<words>" from the original (usually English) headline, falling back to
+ * the Hebrew title. Keeps Latin letters, digits and Hebrew letters.
+ */
+export function articleSlug(id, title) {
+  const words = String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f\u0591-\u05c7]/g, "")
+    .toLowerCase()
+    .replace(/['\u2019"]/g, "")
+    .replace(/[^a-z0-9\u05d0-\u05ea]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const cut = words.length > SLUG_MAX_LENGTH ? words.slice(0, SLUG_MAX_LENGTH).replace(/-[^-]*$/, "") : words;
+  return cut ? `${id}-${cut}` : String(id);
+}
+
+// ── Entries ──────────────────────────────────────────────
+
+/**
+ * Builds a v2 entry from a validated summary and (optionally) the candidate it
+ * was summarized from. `extra` carries generation metadata (promptVersion, model).
+ */
+export function buildArticle(id, summary, candidate = null, { now = new Date(), ...extra } = {}) {
+  const originalTitle = candidate?.title || summary.originalTitle || null;
+  return {
+    id: String(id),
+    slug: articleSlug(id, originalTitle || summary.title),
+    title: summary.title,
+    summary: summary.summary,
+    bottomLine: summary.bottomLine || "",
+    category: summary.category,
+    tags: Array.isArray(summary.tags) ? summary.tags : [],
+    evidence: summary.evidence || null,
+    locale: summary.locale || DEFAULT_LOCALE,
+    translations: summary.translations || {},
+    publishDate: hebrewDate(now),
+    addedAt: now.toISOString(),
+    publishedAt: toIsoDate(candidate?.pubDate ?? summary.publishedAt),
+    sourceUrl: summary.sourceUrl,
+    sourceName: candidate?.source || summary.sourceName || null,
+    origin: candidate?.origin || summary.origin || null,
+    originalTitle,
+    doi: normalizeDoi(candidate?.doi || summary.doi || summary.sourceUrl) || null,
+    pmid: String(candidate?.pmid || summary.pmid || pmidFromUrl(summary.sourceUrl) || "") || null,
+    ...extra,
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Upgrades a v1 entry to v2. Entries already at v2 are returned unchanged,
+ * apart from getting a slug, locale, translations and evidence (null) if they
+ * were stored before those existed. Throws when a v1 publishDate can't be parsed.
+ */
+export function migrateArticle(article) {
+  if (article.schemaVersion >= SCHEMA_VERSION) {
+    if (article.slug && article.locale && article.translations && article.evidence !== undefined) return article;
+    const { id, slug, ...rest } = article;
+    return {
+      id,
+      slug: slug || articleSlug(id, article.originalTitle || article.title),
+      ...rest,
+      evidence: article.evidence ?? null,
+      locale: article.locale || DEFAULT_LOCALE,
+      translations: article.translations || {},
+    };
+  }
+
+  let legacy = {};
+  try {
+    const host = new URL(article.sourceUrl).hostname.replace(/^www\./, "");
+    legacy = LEGACY_HOSTS[host] || {};
+  } catch {
+    // Unparseable sourceUrl — leave origin unknown.
+  }
+
+  const addedAt = article.addedAt || parseHebrewDate(article.publishDate);
+  if (!addedAt) {
+    throw new Error(`Article #${article.id}: cannot parse publishDate "${article.publishDate}"`);
+  }
+
+  const { id, slug, title, summary, bottomLine, category, publishDate, sourceUrl, tags, evidence, locale, translations, publishedAt, sourceName, origin, originalTitle, doi, pmid, ...rest } = article;
+  return {
+    id,
+    slug: slug || articleSlug(id, originalTitle || title),
+    title,
+    summary,
+    bottomLine,
+    category,
+    tags: tags || [],
+    evidence: evidence || null,
+    locale: locale || DEFAULT_LOCALE,
+    translations: translations || {},
+    publishDate,
+    addedAt,
+    publishedAt: publishedAt || null,
+    sourceUrl,
+    sourceName: sourceName || legacy.sourceName || null,
+    origin: origin || legacy.origin || null,
+    originalTitle: originalTitle || null,
+    doi: normalizeDoi(doi || sourceUrl) || null,
+    pmid: String(pmid || pmidFromUrl(sourceUrl) || "") || null,
+    ...rest,
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Migrates a whole article list. Returns { articles, migrated, failed }: an
+ * entry that can't be migrated stays as it was and is listed in failed as
+ * { id, error }, so one bad entry doesn't hold back the rest.
+ */
+export function migrateArticles(articles) {
+  let migrated = 0;
+  const failed = [];
+  const result = articles.map((article) => {
+    try {
+      const next = migrateArticle(article);
+      if (next !== article) migrated++;
+      return next;
+    } catch (e) {
+      failed.push({ id: article.id, error: e.message });
+      return article;
+    }
+  });
+  return { articles: result, migrated, failed };
+}
@@ -0,0 +1,72 @@
+/**
+ * search.js — Writes the archive's Hebrew search index: content/search.json (the
+ * article ids and the list of shards) and content/search/<key>.json, the terms
+ * sharded by their first two characters, so a query only downloads the few
+ * shards its words fall in.
+ *
+ * Normalization, stemming and the index format live in js/search.js, which the
+ * archive page uses at runtime; it runs here in a vm sandbox (like the templates
+ * in scout/site.js) so the index is always built with the same rules the
+ * browser queries it with.
+ */
+
+import { readFileSync, mkdirSync, readdirSync, rmSync } from "fs";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import vm from "vm";
+import { writeJsonAtomic } from "./store.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SEARCH_SCRIPT = resolve(__dirname, "../js/search.js");
+
+let engine = null;
+
+/** The window.hebrewSearch object from js/search.js. */
+export function loadSearchEngine() {
+  if (!engine) {
+    const context = vm.createContext({ window: {} });
+    vm.runInContext(readFileSync(SEARCH_SCRIPT, "utf-8"), context, { filename: "js/search.js" });
+    engine = context.window.hebrewSearch;
+  }
+  return engine;
+}
+
+/**
+ * { version, ids, terms } for the given articles (site order). Translated
+ * titles and summaries are indexed with the originals, so the English edition
+ * finds articles by their English wording too.
+ */
+export function buildSearchIndex(articles) {
+  return loadSearchEngine().buildIndex(articles.map(withTranslations));
+}
+
+function withTranslations(article) {
+  const translations = Object.values(article.translations || {});
+  if (translations.length === 0) return article;
+  const field = (name) => [article[name], ...translations.map((t) => t[name])].filter(Boolean);
+  return { ...article, title: field("title"), summary: field("summary"), bottomLine: field("bottomLine") };
+}
+
+/**
+ * Writes <dir>/search.json ({ version, ids, shards }) and one
+ * <dir>/search/<key>.json of { term: postings } per shard. Stale shard files
+ * are removed.
+ */
+export function writeSearchIndex(articles, dir) {
+  const { shardKey } = loadSearchEngine();
+  const { version, ids, terms } = buildSearchIndex(articles);
+  const shards = new Map();
+  for (const [term, postings] of Object.entries(terms)) {
+    const key = shardKey(term);
+    if (!shards.has(key)) shards.set(key, {});
+    shards.get(key)[term] = postings;
+  }
+
+  const shardDir = join(dir, "search");
+  mkdirSync(shardDir, { recursive: true });
+  for (const [key, shardTerms] of shards) writeJsonAtomic(join(shardDir, `${key}.json`), shardTerms, { pretty: false });
+  for (const file of readdirSync(shardDir)) {
+    if (file.endsWith(".json") && !shards.has(file.slice(0, -5))) rmSync(join(shardDir, file));
+  }
+  writeJsonAtomic(join(dir, "search.json"), { version, ids, shards: [...shards.keys()].sort() }, { pretty: false });
+}
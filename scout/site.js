@@ -0,0 +1,369 @@
+/**
+ * site.js — Static build of the site for search engines and link previews.
+ *
+ *   node auto-scout.js build [--out=dist]
+ *
+ * Writes into <out>/:
+ *   articles/<slug>.html   — one page per article: <title>, meta description, canonical
+ *                            URL, hreflang, Open Graph / Twitter cards, NewsArticle JSON-LD
+ *   index.html             — hero, latest cards and article count already rendered
+ *   archive.html           — the first page of article cards already rendered
+ *   tags/<slug>.html       — one archive page per topic in config/topics.json that has
+ *                            articles; tag chips point here instead of archive.html?tag=
+ *   feed.xml, atom.xml, feed.json, feeds/<category>/… — see scout/feeds.js
+ *   sitemap.xml (+ sitemaps/… when split), robots.txt — see scout/sitemap.js
+ *   article.html, about.html, css/, js/ and the published part of content/ (articles,
+ *                            index, search index, related lists and month shards) — copied
+ *                            as-is, so ?id= links and the runtime filters keep working on
+ *                            the built site. Drafts, rejected items, the queue and the
+ *                            social post log are never published.
+ *
+ * <out> is emptied first, so it must be new, empty or an earlier build (it holds a
+ * .site-build marker); the repository and its source directories are refused.
+ *
+ * The markup comes from the site's own js/feed.js, js/article.js and js/archive.js
+ * (with js/related.js picking related reading), run in a vm sandbox — the build has no templates of its own. Links to
+ * article.html?id=N in the rendered markup are pointed at the static pages. Pages are
+ * built in Hebrew (js/i18n.js has no ?lang= to read here); the English edition is the
+ * same pages with ?lang=en, rendered in the browser, and articles with an English
+ * translation link to it with hreflang="en".
+ *
+ * Site name, base URL and locale live in config/site.json; SITE_URL overrides baseUrl
+ * (e.g. for a custom domain).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync, cpSync, existsSync, readdirSync } from "fs";
+import { resolve, dirname, join, basename, relative, isAbsolute, sep } from "path";
+import { fileURLToPath } from "url";
+import vm from "vm";
+import { excerpt } from "./store.js";
+import { articleSlug } from "./schema.js";
+import { buildFeeds } from "./feeds.js";
+import { buildSitemaps } from "./sitemap.js";
+import { computeRelated } from "./related.js";
+import { loadTopics } from "./topics.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+export const SITE_CONFIG_PATH = resolve(ROOT, "config/site.json");
+export const DEFAULT_OUT_DIR = resolve(ROOT, "dist");
+
+const RENDERER_SCRIPTS = ["js/i18n.js", "js/evidence.js", "js/related.js", "js/feed.js", "js/article.js", "js/archive.js"];
+const COPIED = [
+  "css",
+  "js",
+  "article.html",
+  "about.html",
+  "content/articles.json",
+  "content/index.json",
+  "content/related.json",
+  "content/search.json",
+  "content/search",
+  "content/articles",
+];
+// Written into every build, so the next build knows the directory is safe to empty
+const BUILD_MARKER = ".site-build";
+const HEADLINE_MAX_LENGTH = 110;
+
+// ── Config ───────────────────────────────────────────────
+
+export function loadSiteConfig(path = SITE_CONFIG_PATH) {
+  const config = JSON.parse(readFileSync(path, "utf-8"));
+  const baseUrl = process.env.SITE_URL || config.baseUrl;
+  if (!baseUrl) throw new Error(`${path}: baseUrl is required (or set SITE_URL)`);
+  return { ...config, baseUrl: baseUrl.replace(/\/+$/, "") };
+}
+
+// ── Renderers ────────────────────────────────────────────
+
+/**
+ * Runs the frontend scripts against a stub DOM and returns what they expose on
+ * window (i18n, renderArticleCard, heroContent, renderArticleBody, renderRelatedCard,
+ * pickRelated, renderArchiveCard).
+ */
+export function loadRenderers(root = ROOT) {
+  const window = {};
+  const document = { addEventListener() {}, getElementById: () => null, querySelectorAll: () => [] };
+  const context = vm.createContext({ window, document, console, URLSearchParams });
+  for (const script of RENDERER_SCRIPTS) {
+    vm.runInContext(readFileSync(join(root, script), "utf-8"), context, { filename: script });
+  }
+  return window;
+}
+
+// ── HTML helpers ─────────────────────────────────────────
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// Locates the element carrying id="…" and the end of its content, matching nested tags of the same name.
+function findElement(html, id) {
+  const open = new RegExp(`<([a-z0-9]+)\\b[^>]*\\bid="${id}"[^>]*>`, "i").exec(html);
+  if (!open) throw new Error(`No element with id="${id}"`);
+  const tag = open[1].toLowerCase();
+  const start = open.index + open[0].length;
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+  pattern.lastIndex = start;
+  let depth = 1;
+  for (let match; (match = pattern.exec(html)); ) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return { open, start, end: match.index };
+  }
+  throw new Error(`Unclosed <${tag} id="${id}">`);
+}
+
+/** Replaces the content of the element with the given id. */
+export function fillElement(html, id, content) {
+  const { start, end } = findElement(html, id);
+  return html.slice(0, start) + content + html.slice(end);
+}
+
+/** Sets (or adds) an attribute on the element with the given id. */
+export function setAttribute(html, id, name, value) {
+  const { open } = findElement(html, id);
+  const attr = new RegExp(`\\s${name}="[^"]*"`);
+  const tag = attr.test(open[0])
+    ? open[0].replace(attr, ` ${name}="${escapeHtml(value)}"`)
+    : open[0].replace(/>$/, ` ${name}="${escapeHtml(value)}">`);
+  return html.slice(0, open.index) + tag + html.slice(open.index + open[0].length);
+}
+
+// Points article.html?id=N and archive.html?tag=… links at the static pages.
+function linkStaticPages(html, slugs, tagSlugs = new Map()) {
+  return html
+    .replace(/href="article\.html\?id=([^"&]+)"/g, (link, id) => (slugs.has(id) ? `href="articles/${slugs.get(id)}.html"` : link))
+    .replace(/href="archive\.html\?tag=([^"&]+)"/g, (link, tag) => {
+      const slug = tagSlugs.get(decodeURIComponent(tag));
+      return slug ? `href="tags/${slug}.html"` : link;
+    });
+}
+
+/** Replaces <title> and the meta description, and appends `tags` to <head>. */
+function setHead(html, { title, description, tags = [] }) {
+  return html
+    .replace(/<title[^>]*>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`)
+    .replace(/\s*<meta name="description"[^>]*>/, "")
+    .replace(/<\/title>/, `</title>\n  <meta name="description" content="${escapeHtml(description)}">`)
+    .replace(/(\s*)<\/head>/, `\n\n  <!-- Generated by scout/site.js -->\n  ${tags.join("\n  ")}$1</head>`);
+}
+
+const meta = (attr, key, content) => `<meta ${attr}="${key}" content="${escapeHtml(content)}">`;
+
+function pageTags(config, { url, title, description, type = "website" }) {
+  return [
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<link rel="alternate" hreflang="${config.language}" href="${escapeHtml(url)}">`,
+    meta("property", "og:type", type),
+    meta("property", "og:site_name", config.name),
+    meta("property", "og:locale", config.locale),
+    meta("property", "og:title", title),
+    meta("property", "og:description", description),
+    meta("property", "og:url", url),
+    meta("name", "twitter:card", "summary"),
+    meta("name", "twitter:title", title),
+    meta("name", "twitter:description", description),
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(config.name)}" href="${config.baseUrl}/feed.xml">`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(config.name)}" href="${config.baseUrl}/atom.xml">`,
+    `<link rel="alternate" type="application/feed+json" title="${escapeHtml(config.name)}" href="${config.baseUrl}/feed.json">`,
+  ];
+}
+
+// JSON inside <script> must not be able to close the tag.
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, "\\u003c")}</script>`;
+}
+
+// ── Pages ────────────────────────────────────────────────
+
+export function articleUrl(config, article) {
+  return `${config.baseUrl}/articles/${encodeURIComponent(article.slug)}.html`;
+}
+
+function newsArticle(config, article, url, description) {
+  const publisher = { "@type": "Organization", name: config.name, url: `${config.baseUrl}/` };
+  return {
+    "@context": "https://schema.org",
+    "@type": "NewsArticle",
+    headline: article.title.length > HEADLINE_MAX_LENGTH ? `${article.title.slice(0, HEADLINE_MAX_LENGTH - 1)}…` : article.title,
+    description,
+    url,
+    mainEntityOfPage: { "@type": "WebPage", "@id": url },
+    inLanguage: config.language,
+    datePublished: article.addedAt,
+    dateModified: article.editedAt || article.addedAt,
+    articleSection: article.category,
+    ...(article.tags?.length ? { keywords: article.tags.join(", ") } : {}),
+    author: publisher,
+    publisher,
+    isBasedOn: article.sourceUrl,
+  };
+}
+
+function renderArticlePage(shell, article, related, { config, renderers }) {
+  const url = articleUrl(config, article);
+  const translated = Object.keys(article.translations || {}).map((lang) =>
+    `<link rel="alternate" hreflang="${lang}" href="${escapeHtml(`${url}?lang=${lang}`)}">`);
+  const title = `${article.title} — ${config.name}`;
+  const description = excerpt(article.summary);
+
+  let html = shell.replace(/(<meta charset="[^"]*">)/i, '$1\n  <base href="../">');
+  html = setHead(html, {
+    title,
+    description,
+    tags: [
+      ...pageTags(config, { url, title: article.title, description, type: "article" }),
+      ...translated,
+      meta("property", "article:published_time", article.addedAt),
+      meta("property", "article:section", article.category),
+      ...(article.tags || []).map((tag) => meta("property", "article:tag", tag)),
+      jsonLd(newsArticle(config, article, url, description)),
+    ],
+  });
+  html = fillElement(html, "article-container", renderers.renderArticleBody(article));
+  html = setAttribute(html, "article-container", "data-article-id", article.id);
+  return fillElement(html, "related-articles", related.map(renderers.renderRelatedCard).join(""));
+}
+
+function renderIndexPage(shell, articles, { config, renderers }) {
+  let html = shell;
+  if (articles.length > 0) {
+    const related = renderers.relatedArticles.pick(articles[0], articles);
+    for (const [id, content] of Object.entries(renderers.heroContent(articles[0], related))) {
+      if ("html" in content) html = fillElement(html, id, content.html);
+      if ("text" in content) html = fillElement(html, id, escapeHtml(content.text));
+      if ("href" in content) html = setAttribute(html, id, "href", content.href);
+    }
+    html = fillElement(html, "articles-grid", articles.slice(1).map(renderers.renderArticleCard).join(""));
+  }
+  html = fillElement(html, "stat-total", String(articles.length));
+  return setHead(html, {
+    title: `${config.name} — ${config.tagline}`,
+    description: config.description,
+    tags: pageTags(config, { url: `${config.baseUrl}/`, title: config.name, description: config.description }),
+  });
+}
+
+// First page of archive cards, like archive.html without a ?page= — the sitemap lists every article.
+function fillArchive(html, articles, renderers, hrefFor) {
+  const { items, pageCount } = renderers.paginateArchive(articles, 1);
+  // A short excerpt keeps the page small; at runtime the cards get the summary from the month shards.
+  const cards = items.map((a) => renderers.renderArchiveCard({ ...a, summary: undefined, excerpt: excerpt(a.summary) }));
+  html = fillElement(html, "archive-grid", cards.join(""));
+  html = fillElement(html, "archive-pagination", renderers.renderArchivePagination(1, pageCount, hrefFor));
+  const { t } = renderers.i18n;
+  const count = pageCount > 1 ? t("archive.countPaged", { count: articles.length, page: 1, pages: pageCount }) : t("archive.count", { count: articles.length });
+  return fillElement(html, "results-count", escapeHtml(count));
+}
+
+function renderArchivePage(shell, articles, { config, renderers }) {
+  const html = fillArchive(shell, articles, renderers);
+  const title = `ארכיון — ${config.name}`;
+  return setHead(html, {
+    title,
+    description: config.description,
+    tags: pageTags(config, { url: `${config.baseUrl}/archive.html`, title, description: config.description }),
+  });
+}
+
+export function tagUrl(config, topic) {
+  return `${config.baseUrl}/tags/${topic.slug}.html`;
+}
+
+// The archive filtered to one topic; archive.js picks the tag up from data-tag.
+function renderTagPage(shell, topic, articles, { config, renderers }) {
+  const url = tagUrl(config, topic);
+  const title = `${topic.tag} — ${config.name}`;
+  const description = `${articles.length} כתבות על ${topic.tag} באתר ${config.name}: ${config.description}`;
+  const hrefFor = (page) => `archive.html?tag=${encodeURIComponent(topic.tag)}&page=${page}`;
+
+  let html = shell.replace(/(<meta charset="[^"]*">)/i, '$1\n  <base href="../">');
+  html = fillArchive(html, articles, renderers, hrefFor);
+  html = setAttribute(html, "archive-grid", "data-tag", topic.tag);
+  html = fillElement(html, "archive-title", escapeHtml(renderers.i18n.t("archive.tagTitle", { tag: topic.tag })));
+  return setHead(html, {
+    title,
+    description,
+    tags: pageTags(config, { url, title, description }),
+  });
+}
+
+// ── Build ────────────────────────────────────────────────
+
+function prepareOutDir(outDir) {
+  if (ROOT === outDir || ROOT.startsWith(outDir + sep)) {
+    throw new Error(`Refusing to build into ${outDir} — it contains the repository`);
+  }
+  if (outDir !== DEFAULT_OUT_DIR && !existsSync(join(outDir, BUILD_MARKER))) {
+    const inRepo = relative(ROOT, outDir);
+    if (!inRepo.startsWith("..") && !isAbsolute(inRepo) && existsSync(join(ROOT, inRepo.split(sep)[0]))) {
+      throw new Error(`Refusing to build into ${outDir} — it is part of the repository; use --out=dist or a directory outside it`);
+    }
+    if (existsSync(outDir) && readdirSync(outDir).length > 0) {
+      throw new Error(`Refusing to empty ${outDir} — it isn't a previous site build (no ${BUILD_MARKER} file); pick a new or empty directory`);
+    }
+  }
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(join(outDir, "articles"), { recursive: true });
+  writeFileSync(join(outDir, BUILD_MARKER), "", "utf-8");
+}
+
+function copyStatic(outDir) {
+  for (const entry of COPIED) {
+    if (!existsSync(join(ROOT, entry))) continue;
+    cpSync(join(ROOT, entry), join(outDir, entry), {
+      recursive: true,
+      // Backups, locks and half-written temp files stay out of the published site.
+      filter: (src) => basename(src) !== ".backups" && !src.endsWith(".lock") && !src.endsWith(".tmp"),
+    });
+  }
+}
+
+/**
+ * Builds the static site from `articles` into `outDir`. Returns
+ * { pages, outDir } where pages are paths (pages, feeds, sitemaps) relative to outDir.
+ */
+export function buildSite(articles, { outDir = DEFAULT_OUT_DIR, config = loadSiteConfig() } = {}) {
+  outDir = resolve(outDir);
+  const renderers = loadRenderers();
+  const context = { config, renderers };
+  // Related ids computed here too, so the pages never lag behind content/related.json.
+  const relatedIds = computeRelated(articles);
+  const entries = articles.map((a) => ({ ...a, slug: a.slug || articleSlug(a.id, a.originalTitle || a.title), related: relatedIds[a.id] }));
+  const slugs = new Map(entries.map((a) => [a.id, a.slug]));
+  const tagPages = loadTopics().topics
+    .map((topic) => ({ topic, articles: entries.filter((a) => (a.tags || []).includes(topic.tag)) }))
+    .filter((page) => page.articles.length > 0);
+  const tagSlugs = new Map(tagPages.map(({ topic }) => [topic.tag, topic.slug]));
+  const shell = (name) => readFileSync(join(ROOT, name), "utf-8");
+
+  prepareOutDir(outDir);
+  copyStatic(outDir);
+
+  const pages = [];
+  const write = (path, html) => {
+    writeFileSync(join(outDir, path), linkStaticPages(html, slugs, tagSlugs), "utf-8");
+    pages.push(path);
+  };
+
+  const articleShell = shell("article.html");
+  for (const article of entries) {
+    const related = renderers.pickRelated(article, entries);
+    write(`articles/${article.slug}.html`, renderArticlePage(articleShell, article, related, context));
+  }
+  write("index.html", renderIndexPage(shell("index.html"), entries, context));
+  write("archive.html", renderArchivePage(shell("archive.html"), entries, context));
+  mkdirSync(join(outDir, "tags"), { recursive: true });
+  for (const { topic, articles: tagged } of tagPages) {
+    write(`tags/${topic.slug}.html`, renderTagPage(shell("archive.html"), topic, tagged, context));
+  }
+
+  const urls = { config, articleUrl: (a) => articleUrl(config, a) };
+  const tagUrls = tagPages.map(({ topic, articles: tagged }) => ({ url: tagUrl(config, topic), articles: tagged }));
+  for (const { path, body } of [...buildFeeds(entries, urls), ...buildSitemaps(entries, { ...urls, tagPages: tagUrls })]) {
+    mkdirSync(dirname(join(outDir, path)), { recursive: true });
+    writeFileSync(join(outDir, path), body, "utf-8");
+    pages.push(path);
+  }
+  return { pages, outDir };
+}
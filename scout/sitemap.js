@@ -0,0 +1,98 @@
+/**
+ * sitemap.js — sitemap.xml and robots.txt, written by `build` (scout/site.js).
+ *
+ * Lists the home page, archive.html, about.html, one archive.html?cat=… page per
+ * category, the tag landing pages and every article page with its lastmod
+ * (editedAt, else addedAt).
+ * Past SITEMAP_MAX_URLS entries the URLs are split into sitemaps/sitemap-<n>.xml
+ * and sitemap.xml becomes a sitemap index pointing at them.
+ *
+ * The Pages workflow (.github/workflows/pages.yml) rebuilds the site whenever
+ * articles are published, so the sitemap always matches content/articles.json.
+ * Crawlers only read robots.txt at the root of a host — with a project page
+ * (user.github.io/repo) it only takes effect once the site has its own domain.
+ */
+
+import { escapeXml, articleDate } from "./feeds.js";
+import { CATEGORIES } from "./validate.js";
+
+// Protocol limits: 50,000 URLs and 50MB per file. Article URLs are long
+// (percent-encoded Hebrew slugs), so stay well under the byte limit too.
+export const SITEMAP_MAX_URLS = 50000;
+export const SITEMAP_MAX_BYTES = 45 * 1024 * 1024;
+
+const XMLNS = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+function isoDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+function urlEntry({ loc, lastmod }) {
+  return `  <url>\n    <loc>${escapeXml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ""}\n  </url>\n`;
+}
+
+function urlset(entries) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="${XMLNS}">\n${entries.map((e) => e.xml).join("")}</urlset>\n`;
+}
+
+function latest(articles) {
+  return isoDate(articles.map(lastModified).filter(Boolean).sort((a, b) => b - a)[0]);
+}
+
+function lastModified(article) {
+  return article.editedAt ? new Date(article.editedAt) : articleDate(article);
+}
+
+/**
+ * Every URL the sitemap lists: [{ loc, lastmod }]. `tagPages` are
+ * [{ url, articles }] for the tag landing pages.
+ */
+export function sitemapUrls(articles, { config, articleUrl, tagPages = [] }) {
+  const base = config.baseUrl;
+  const newest = latest(articles);
+  return [
+    { loc: `${base}/`, lastmod: newest },
+    { loc: `${base}/archive.html`, lastmod: newest },
+    { loc: `${base}/about.html`, lastmod: null },
+    ...CATEGORIES.map((category) => ({
+      loc: `${base}/archive.html?cat=${encodeURIComponent(category)}`,
+      lastmod: latest(articles.filter((a) => a.category === category)),
+    })),
+    ...tagPages.map((page) => ({ loc: page.url, lastmod: latest(page.articles) })),
+    ...articles.map((article) => ({ loc: articleUrl(article), lastmod: isoDate(lastModified(article)) })),
+  ];
+}
+
+/**
+ * Returns [{ path, body }]: sitemap.xml (a plain urlset, or an index once the
+ * URLs don't fit in one file), sitemaps/sitemap-<n>.xml when split, and robots.txt.
+ */
+export function buildSitemaps(articles, { config, articleUrl, tagPages, maxUrls = SITEMAP_MAX_URLS, maxBytes = SITEMAP_MAX_BYTES }) {
+  const chunks = [[]];
+  let bytes = 0;
+  for (const url of sitemapUrls(articles, { config, articleUrl, tagPages })) {
+    const entry = { ...url, xml: urlEntry(url) };
+    const size = Buffer.byteLength(entry.xml);
+    if (chunks.at(-1).length >= maxUrls || (chunks.at(-1).length > 0 && bytes + size > maxBytes)) {
+      chunks.push([]);
+      bytes = 0;
+    }
+    chunks.at(-1).push(entry);
+    bytes += size;
+  }
+
+  const robots = { path: "robots.txt", body: `User-agent: *\nAllow: /\n\nSitemap: ${config.baseUrl}/sitemap.xml\n` };
+  if (chunks.length === 1) return [{ path: "sitemap.xml", body: urlset(chunks[0]) }, robots];
+
+  const parts = chunks.map((chunk, i) => ({
+    path: `sitemaps/sitemap-${i + 1}.xml`,
+    body: urlset(chunk),
+    lastmod: chunk.map((u) => u.lastmod).filter(Boolean).sort().at(-1),
+  }));
+  const index = parts.map(({ path, lastmod }) => `  <sitemap>\n    <loc>${escapeXml(`${config.baseUrl}/${path}`)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ""}\n  </sitemap>\n`);
+  return [
+    { path: "sitemap.xml", body: `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="${XMLNS}">\n${index.join("")}</sitemapindex>\n` },
+    ...parts.map(({ path, body }) => ({ path, body })),
+    robots,
+  ];
+}
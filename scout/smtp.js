@@ -0,0 +1,206 @@
+/**
+ * smtp.js — Minimal SMTP client for the digest (no dependencies).
+ *
+ *   - Implicit TLS (`secure`, port 465) or plain + STARTTLS; a server that doesn't
+ *     offer STARTTLS is refused unless `starttls: false` was set explicitly, so a
+ *     stripped EHLO reply can't downgrade the connection and expose the credentials
+ *   - AUTH PLAIN / LOGIN when credentials are given
+ *   - multipart/alternative text + HTML, UTF-8, base64 bodies and RFC 2047 headers,
+ *     so Hebrew survives every hop
+ *
+ * Works against a local sink (MailHog, smtp4dev, `python -m aiosmtpd -n`) with
+ * { host: "127.0.0.1", port: 1025, starttls: false } and no credentials.
+ */
+
+import net from "net";
+import tls from "tls";
+import { randomBytes } from "crypto";
+import { hostname } from "os";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// ── Message ──────────────────────────────────────────────
+
+function encodeWord(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf-8").toString("base64")}?=`;
+}
+
+/** "Name <addr@host>" → { name, address }; a bare address has no name. */
+export function parseAddress(value) {
+  const match = String(value).trim().match(/^(.*?)\s*<([^>]+)>$/);
+  return match ? { name: match[1].replace(/^"|"$/g, ""), address: match[2] } : { name: "", address: String(value).trim() };
+}
+
+function formatAddress(value) {
+  const { name, address } = parseAddress(value);
+  return name ? `${encodeWord(name)} <${address}>` : address;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, "utf-8").toString("base64").match(/.{1,76}/g)?.join("\r\n") || "";
+}
+
+/** Builds the RFC 5322 message (CRLF line endings). */
+export function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+  const boundary = `=_digest_${randomBytes(12).toString("hex")}`;
+  const domain = parseAddress(from).address.split("@")[1] || "localhost";
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(body),
+  ];
+
+  return [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(", ")}`,
+    `Subject: ${encodeWord(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomBytes(16).toString("hex")}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    ...part("text/plain", text),
+    ...part("text/html", html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+// ── Connection ───────────────────────────────────────────
+
+// Reads complete (possibly multi-line) replies off a socket.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf-8");
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(new Error("SMTP connection closed unexpectedly"));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms (${host}:${port})`)));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+/**
+ * Sends one message. `smtp` is { host, port, secure, starttls, user, pass };
+ * returns { accepted, response } with the server's final reply.
+ */
+export async function sendMail(smtp, { from, to, subject, text, html }) {
+  if (!smtp.host) throw new Error("SMTP host is not configured");
+  if (!to.length) throw new Error("No recipients");
+
+  const { host, port = smtp.secure ? 465 : 587, secure = false, starttls = true, user, pass, timeoutMs = DEFAULT_TIMEOUT_MS } = smtp;
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = replyReader(socket);
+
+  // Errors name the step (never the arguments, which may be credentials).
+  const expect = async (codes, step) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    return reply;
+  };
+  const command = (line, codes, step = line.split(/[ :]/)[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], "greeting");
+    const helo = `EHLO ${hostname() || "localhost"}`;
+    let features = (await command(helo, [250])).lines;
+
+    if (!secure && starttls) {
+      if (!features.some((f) => /^STARTTLS/i.test(f))) {
+        throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS (set "starttls": false only for a local sink)`);
+      }
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket = await upgrade(socket, host);
+      reader = replyReader(socket);
+      features = (await command(helo, [250])).lines;
+    }
+
+    if (user) {
+      const auth = features.find((f) => /^AUTH\b/i.test(f)) || "";
+      if (/\bPLAIN\b/i.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, [235]);
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(user).toString("base64"), [334], "AUTH LOGIN user");
+        await command(Buffer.from(pass || "").toString("base64"), [235], "AUTH LOGIN password");
+      }
+    }
+
+    await command(`MAIL FROM:<${parseAddress(from).address}>`, [250]);
+    for (const recipient of to) await command(`RCPT TO:<${parseAddress(recipient).address}>`, [250, 251]);
+    await command("DATA", [354]);
+
+    // Bodies are base64, but dot-stuff anyway in case a header line starts with "."
+    const message = buildMessage({ from, to, subject, text, html }).replace(/\r\n\./g, "\r\n..");
+    const reply = await command(`${message}\r\n.`, [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+    return { accepted: to, response: reply.lines.join(" ") };
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * social.js — `node auto-scout.js social`: channel posts for newly published articles.
+ *
+ *   social [--channel=telegram,x] [--article=<id>] [--max-age-days=2] [--dry-run]
+ *
+ * Each channel in config/social.json names a post format and a publisher:
+ *
+ *   formats     telegram  — HTML parse mode, title + summary + bottom line (4096 chars)
+ *               x         — title + bottom line, counted the way X counts (links = 23) (280)
+ *               whatsapp  — *bold* title + bottom line (maxLength from the config)
+ *   publishers  telegram  — Bot API sendMessage (token and chat id from the env vars
+ *                           named by tokenEnv / chatIdEnv, or chatId in the config)
+ *               file      — writes the post to <dryRunDir>/<channel>/<id>.txt
+ *
+ * A publisher is { publish(post, { article, channel }) → { id } }; add one to
+ * PUBLISHERS to support another API. --dry-run sends every channel to the file
+ * publisher and records nothing.
+ *
+ * Every post is recorded in content/social.json ({ articleId, channel, postId,
+ * postedAt }) right after it is sent, so a rerun of the daily workflow — or a run
+ * that failed half-way — never posts the same article to a channel twice. A failed
+ * post sets a non-zero exit code; the daily workflow still commits the log.
+ * Articles qualify when they were added in the last maxAgeDays (or with --article).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { resolve, dirname, join, relative } from "path";
+import { fileURLToPath } from "url";
+import { httpFetch } from "./http.js";
+import { readJsonList, writeJsonAtomic } from "./store.js";
+import { articleDate } from "./feeds.js";
+import { loadSiteConfig, articleUrl } from "./site.js";
+import { CATEGORY_ICONS } from "./validate.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+export const SOCIAL_CONFIG_PATH = resolve(ROOT, "config/social.json");
+export const SOCIAL_LOG_PATH = resolve(ROOT, "content/social.json");
+
+const RLM = "\u200F";
+const X_URL_LENGTH = 23;
+
+// ── Config + log ─────────────────────────────────────────
+
+export function loadSocialConfig(path = SOCIAL_CONFIG_PATH) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read social config ${path}: ${e.message}`);
+  }
+}
+
+export function loadSocialLog(path = SOCIAL_LOG_PATH) {
+  return readJsonList(path, { label: "social log" });
+}
+
+// ── Text helpers ─────────────────────────────────────────
+
+function escapeTelegram(value) {
+  return String(value ?? "").replace(/[&<>]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[ch]);
+}
+
+/**
+ * Length as X counts it: URLs are 23, code points in the Latin/Hebrew/Arabic
+ * ranges and common punctuation are 1, everything else (emoji, CJK) is 2.
+ */
+export function xLength(text) {
+  const withoutUrls = text.replace(/https?:\/\/\S+/g, () => "x".repeat(X_URL_LENGTH));
+  let length = 0;
+  for (const ch of withoutUrls) {
+    const cp = ch.codePointAt(0);
+    const light = cp <= 4351 || (cp >= 8192 && cp <= 8205) || (cp >= 8208 && cp <= 8223) || (cp >= 8242 && cp <= 8247);
+    length += light ? 1 : 2;
+  }
+  return length;
+}
+
+// Trims at a word boundary and adds an ellipsis.
+function truncate(text, maxChars) {
+  const chars = [...text];
+  if (chars.length <= maxChars) return text;
+  const cut = chars.slice(0, Math.max(0, maxChars - 1)).join("");
+  const space = cut.lastIndexOf(" ");
+  return `${(space > maxChars / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:—-]+$/, "")}…`;
+}
+
+// Lines that start with Latin text, digits or "#" would otherwise be laid out
+// left-to-right; a right-to-left mark keeps the whole post RTL. Links stay bare
+// so clients still detect them.
+function rtlSafe(text) {
+  return text.split("\n").map((line) => (!line || /^https?:\/\//.test(line) || line.startsWith(RLM) ? line : RLM + line)).join("\n");
+}
+
+export function hashtagsFor(article, config) {
+  const tags = [...(config.categoryHashtags?.[article.category] || []), ...(config.hashtags || [])];
+  return [...new Set(tags)];
+}
+
+/**
+ * Assembles a post from `build(flexible)` so it fits in `maxLength` as measured
+ * by `measure`, shortening only the flexible text (summary or bottom line).
+ */
+function fit(build, flexible, maxLength, measure) {
+  let budget = [...flexible].length;
+  let post = rtlSafe(build(flexible));
+  while (measure(post) > maxLength && budget > 0) {
+    budget -= Math.max(1, measure(post) - maxLength);
+    post = rtlSafe(build(budget > 0 ? truncate(flexible, budget) : ""));
+  }
+  if (measure(post) > maxLength) throw new Error(`Post does not fit in ${maxLength} characters even without its text`);
+  return post;
+}
+
+// ── Formats ──────────────────────────────────────────────
+
+const FORMATS = {
+  telegram(article, { url, hashtags, maxLength = 4096 }) {
+    const icon = CATEGORY_ICONS[article.category] || "";
+    const build = (summary) => [
+      `${icon} <b>${escapeTelegram(article.title)}</b>`,
+      "",
+      ...(summary ? [escapeTelegram(summary), ""] : []),
+      ...(article.bottomLine ? [`💡 <b>השורה התחתונה:</b> ${escapeTelegram(article.bottomLine)}`, ""] : []),
+      `<a href="${escapeTelegram(url)}">לכתבה המלאה</a>`,
+      "",
+      hashtags.join(" "),
+    ].join("\n");
+    // Telegram counts the text after HTML entities are parsed.
+    const measure = (text) => [...text.replace(/<[^>]+>/g, "").replace(/&(amp|lt|gt);/g, "x")].length;
+    return fit(build, article.summary, maxLength, measure);
+  },
+
+  x(article, { url, hashtags, maxLength = 280 }) {
+    const lead = article.bottomLine || article.summary;
+    const build = (text) => [article.title, "", ...(text ? [text, ""] : []), url, hashtags.join(" ")].join("\n");
+    return fit(build, lead, maxLength, xLength);
+  },
+
+  whatsapp(article, { url, hashtags, maxLength = 1000 }) {
+    const icon = CATEGORY_ICONS[article.category] || "";
+    const build = (bottomLine) => [
+      `${icon} *${article.title}*`,
+      "",
+      ...(bottomLine ? [`_השורה התחתונה:_ ${bottomLine}`, ""] : []),
+      url,
+      "",
+      hashtags.join(" "),
+    ].join("\n");
+    return fit(build, article.bottomLine || article.summary, maxLength, (text) => [...text].length);
+  },
+};
+
+/** Renders the post for one channel ({ format, maxLength }). */
+export function formatPost(article, channel, { url, config }) {
+  const format = FORMATS[channel.format];
+  if (!format) throw new Error(`Unknown post format "${channel.format}" (expected ${Object.keys(FORMATS).join(", ")})`);
+  return format(article, { url, hashtags: hashtagsFor(article, config), maxLength: channel.maxLength });
+}
+
+// ── Publishers ───────────────────────────────────────────
+
+function telegramPublisher(channel) {
+  const tokenEnv = channel.tokenEnv || "TELEGRAM_BOT_TOKEN";
+  const chatIdEnv = channel.chatIdEnv || "TELEGRAM_CHAT_ID";
+
+  return {
+    async publish(post) {
+      const token = process.env[tokenEnv];
+      const chatId = process.env[chatIdEnv] || channel.chatId;
+      if (!token) throw new Error(`${tokenEnv} environment variable is required for the telegram publisher`);
+      if (!chatId) throw new Error(`Set ${chatIdEnv} (or chatId in config/social.json) for the telegram publisher`);
+
+      const res = await httpFetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ chat_id: chatId, text: post, parse_mode: "HTML" }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.ok) throw new Error(`Telegram API error ${res.status}: ${data.description || "no description"}`);
+      return { id: String(data.result.message_id) };
+    },
+  };
+}
+
+function filePublisher(channel, { dir, name }) {
+  return {
+    async publish(post, { article }) {
+      const path = join(dir, name, `${article.id}.txt`);
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, post + "\n", "utf-8");
+      return { id: `file:${relative(ROOT, path)}` };
+    },
+  };
+}
+
+const PUBLISHERS = {
+  telegram: telegramPublisher,
+  file: filePublisher,
+};
+
+export function createPublisher(name, channel, options) {
+  const factory = PUBLISHERS[channel.publisher];
+  if (!factory) throw new Error(`Channel "${name}": unknown publisher "${channel.publisher}" (expected ${Object.keys(PUBLISHERS).join(", ")})`);
+  return factory(channel, { ...options, name });
+}
+
+// ── Command ──────────────────────────────────────────────
+
+export async function runSocial(args, articles, { configPath = SOCIAL_CONFIG_PATH, logPath = SOCIAL_LOG_PATH, now = new Date() } = {}) {
+  const option = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const dryRun = args.includes("--dry-run");
+  const config = loadSocialConfig(configPath);
+  const site = loadSiteConfig();
+  const dir = resolve(ROOT, config.dryRunDir || "social");
+
+  const wanted = option("channel")?.split(",").map((c) => c.trim());
+  const channels = Object.entries(config.channels || {}).filter(([name, c]) => (wanted ? wanted.includes(name) : c.enabled));
+  for (const name of wanted || []) {
+    if (!config.channels?.[name]) throw new Error(`Unknown channel "${name}" (configured: ${Object.keys(config.channels || {}).join(", ")})`);
+  }
+
+  const maxAgeDays = option("max-age-days") ? Number(option("max-age-days")) : config.maxAgeDays ?? 2;
+  const since = new Date(now.getTime() - maxAgeDays * 86400000);
+  const candidates = option("article")
+    ? articles.filter((a) => a.id === option("article"))
+    : articles.filter((a) => (articleDate(a) || 0) >= since);
+  if (option("article") && candidates.length === 0) throw new Error(`No article with id "${option("article")}"`);
+
+  const log = loadSocialLog(logPath);
+  const posted = new Set(log.map((r) => `${r.channel}:${r.articleId}`));
+  let sent = 0;
+  let failed = 0;
+
+  // Oldest first, so channels read in publishing order.
+  for (const article of [...candidates].reverse()) {
+    const url = article.slug ? articleUrl(site, article) : `${site.baseUrl}/article.html?id=${encodeURIComponent(article.id)}`;
+    for (const [name, channel] of channels) {
+      if (!dryRun && posted.has(`${name}:${article.id}`)) continue;
+
+      const publisher = createPublisher(name, dryRun ? { ...channel, publisher: "file" } : channel, { dir });
+      try {
+        const post = formatPost(article, channel, { url, config });
+        const { id } = await publisher.publish(post, { article, channel: name });
+        sent++;
+        console.log(`  ${dryRun ? "DRY RUN" : "POSTED"} ${name} #${article.id} → ${id}`);
+        if (dryRun) continue;
+        log.push({ articleId: article.id, channel: name, postId: id, postedAt: new Date().toISOString() });
+        posted.add(`${name}:${article.id}`);
+        writeJsonAtomic(logPath, log);
+      } catch (e) {
+        failed++;
+        console.log(`  FAILED ${name} #${article.id}: ${e.message}`);
+      }
+    }
+  }
+
+  console.log(`\nSocial: ${sent} posts ${dryRun ? `written to ${relative(ROOT, dir) || "."}/` : "published"}, ${failed} failed (${candidates.length} articles from the last ${maxAgeDays} days, ${channels.length} channels)`);
+  if (failed > 0) process.exitCode = 1;
+}
@@ -0,0 +1,205 @@
+/**
+ * sources.js — Declarative source registry for auto-scout.js.
+ *
+ * Sources are described in config/sources.json; each entry is handled by the
+ * adapter registered for its `type`:
+ *
+ *   rss       — RSS 2.0 / RDF (RSS 1.0) feed at `url`
+ *   atom      — Atom feed at `url`
+ *   pubmed    — NCBI E-utilities search for `query`
+ *   openalex  — OpenAlex works search for `query`
+ *   json      — JSON document at `url` (JSON Feed by default, see `itemsPath`/`fields`)
+ *
+ * Common fields: name (unique, used by --source=), label, limit, enabled,
+ * category (default category hint passed to the summarizer).
+ */
+
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { FeedParser } from "./feed-parser.js";
+import { httpFetch } from "./http.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const SOURCES_PATH = resolve(__dirname, "../config/sources.json");
+
+export const DEFAULT_LIMIT = 2;
+
+// ── Helpers ──────────────────────────────────────────────
+
+function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// ── Adapters ─────────────────────────────────────────────
+
+async function fetchFeed(source) {
+  const res = await httpFetch(source.url);
+  if (!res.ok) throw new Error(`${source.label}: ${res.status}`);
+
+  const parser = new FeedParser();
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    parser.write(decoder.decode(chunk, { stream: true }));
+  }
+  parser.write(decoder.decode());
+  const feed = parser.end();
+
+  return feed.items
+    .slice(0, source.limit)
+    .map((item) => {
+      let title = item.title;
+      let outlet = source.label;
+      if (source.outletFromTitle) {
+        const titleParts = item.title.split(" - ");
+        title = titleParts.slice(0, -1).join(" - ") || item.title;
+        if (titleParts.length > 1) outlet = titleParts[titleParts.length - 1];
+      }
+      return {
+        title: title.trim(),
+        source: outlet.trim(),
+        link: item.link,
+        pubDate: item.pubDate,
+        description: item.description,
+        author: item.author,
+        guid: item.guid,
+        image: item.image,
+      };
+    });
+}
+
+async function fetchPubMed(source) {
+  const query = encodeURIComponent(source.query);
+  const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=pubmed&term=${query}&retmax=${source.limit}&sort=date&retmode=json`;
+
+  const searchRes = await httpFetch(searchUrl);
+  if (!searchRes.ok) throw new Error(`PubMed search: ${searchRes.status}`);
+  const searchData = await searchRes.json();
+  const ids = (searchData.esearchresult?.idlist || []).slice(0, source.limit);
+  if (ids.length === 0) return [];
+
+  const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=pubmed&id=${ids.join(",")}&retmode=json`;
+  const summaryRes = await httpFetch(summaryUrl);
+  if (!summaryRes.ok) throw new Error(`PubMed summary: ${summaryRes.status}`);
+  const summaryData = await summaryRes.json();
+
+  const items = [];
+  for (const id of ids) {
+    const article = summaryData.result?.[id];
+    if (!article) continue;
+    const doi = (article.articleids || []).find((a) => a.idtype === "doi")?.value;
+    items.push({
+      title: article.title || "Untitled",
+      source: article.source || source.label,
+      link: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
+      pubDate: article.pubdate || "",
+      pmid: id,
+      ...(article.pubtype?.length ? { publicationTypes: article.pubtype } : {}),
+      ...(doi ? { doi } : {}),
+    });
+  }
+  return items;
+}
+
+async function fetchOpenAlex(source) {
+  const params = new URLSearchParams({
+    search: source.query,
+    sort: "publication_date:desc",
+    per_page: String(source.limit),
+  });
+  if (source.mailto) params.set("mailto", source.mailto);
+
+  const res = await httpFetch(`https://api.openalex.org/works?${params}`);
+  if (!res.ok) throw new Error(`OpenAlex: ${res.status}`);
+  const data = await res.json();
+
+  return (data.results || []).slice(0, source.limit).map((w) => {
+    const pmid = (w.ids?.pmid || "").match(/(\d+)\/?$/)?.[1];
+    return {
+      title: w.title || "Untitled",
+      source: w.primary_location?.source?.display_name || "Academic",
+      link: w.doi || w.id || "",
+      pubDate: w.publication_date || "",
+      openalexId: w.id || "",
+      abstractIndex: w.abstract_inverted_index || null,
+      ...(w.type ? { workType: w.type } : {}),
+      ...(w.doi ? { doi: w.doi } : {}),
+      ...(pmid ? { pmid } : {}),
+    };
+  });
+}
+
+async function fetchJson(source) {
+  const res = await httpFetch(source.url);
+  if (!res.ok) throw new Error(`${source.label}: ${res.status}`);
+  const data = await res.json();
+
+  const fields = { title: "title", link: "url", pubDate: "date_published", ...source.fields };
+  const list = getPath(data, source.itemsPath || "items");
+  if (!Array.isArray(list)) throw new Error(`${source.label}: no item array at "${source.itemsPath || "items"}"`);
+
+  return list.slice(0, source.limit).map((entry) => ({
+    title: String(getPath(entry, fields.title) || "Untitled").trim(),
+    source: source.label,
+    link: String(getPath(entry, fields.link) || ""),
+    pubDate: String(getPath(entry, fields.pubDate) || ""),
+  }));
+}
+
+const ADAPTERS = {
+  rss: fetchFeed,
+  atom: fetchFeed,
+  pubmed: fetchPubMed,
+  openalex: fetchOpenAlex,
+  json: fetchJson,
+};
+
+const REQUIRED_FIELD = {
+  rss: "url",
+  atom: "url",
+  pubmed: "query",
+  openalex: "query",
+  json: "url",
+};
+
+// ── Registry ─────────────────────────────────────────────
+
+export function loadSources(path = SOURCES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read sources config ${path}: ${e.message}`);
+  }
+
+  const seen = new Set();
+  return (config.sources || []).map((entry, i) => {
+    const where = `sources[${i}]${entry.name ? ` (${entry.name})` : ""}`;
+    if (!entry.name) throw new Error(`${where}: missing "name"`);
+    if (seen.has(entry.name)) throw new Error(`${where}: duplicate source name`);
+    if (!ADAPTERS[entry.type]) {
+      throw new Error(`${where}: unknown type "${entry.type}" (expected ${Object.keys(ADAPTERS).join(", ")})`);
+    }
+    const required = REQUIRED_FIELD[entry.type];
+    if (!entry[required]) throw new Error(`${where}: type "${entry.type}" requires "${required}"`);
+    seen.add(entry.name);
+
+    return {
+      ...entry,
+      label: entry.label || entry.name,
+      limit: Number.isInteger(entry.limit) && entry.limit > 0 ? entry.limit : DEFAULT_LIMIT,
+      enabled: entry.enabled !== false,
+      category: entry.category || null,
+    };
+  });
+}
+
+export async function fetchSource(source) {
+  const items = await ADAPTERS[source.type](source);
+  return items.map((item) => ({
+    ...item,
+    origin: source.name,
+    ...(source.category ? { categoryHint: source.category } : {}),
+  }));
+}
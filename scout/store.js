@@ -0,0 +1,242 @@
+/**
+ * store.js — Content store for content/*.json.
+ *
+ *   - Reads refuse to continue on a corrupted file instead of treating it as
+ *     empty (which used to let the next run overwrite the whole archive)
+ *   - Writes are atomic: temp file in the same directory, then rename
+ *   - The articles file is backed up to content/.backups/ before each write
+ *   - withLock() serializes read-modify-write cycles between the scout,
+ *     `review` and the admin server via a <file>.lock next to the articles file
+ *   - writeShards() splits articles into content/articles/<YYYY-MM>.json plus a
+ *     lightweight content/index.json, so archive.js / article.js only download
+ *     what they show, and rebuilds the search index (content/search.json and its
+ *     term shards in content/search/) and the related-reading lists
+ *     content/related.json
+ *
+ * content/articles.json stays the source of truth; shards and index are derived
+ * from it on every save.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, readdirSync, rmSync, openSync, writeSync, closeSync, fsyncSync, copyFileSync } from "fs";
+import { resolve, dirname, basename, join } from "path";
+import { fileURLToPath } from "url";
+import { writeSearchIndex } from "./search.js";
+import { computeRelated } from "./related.js";
+import { DEFAULT_LOCALE } from "./schema.js";
+import { loadSources } from "./sources.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const CONTENT_PATH = resolve(__dirname, "../content/articles.json");
+
+export const MAX_BACKUPS = 10;
+export const EXCERPT_LENGTH = 160;
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_STALE_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── JSON files ───────────────────────────────────────────
+
+/**
+ * Reads a JSON array. A missing file is `fallback`; anything unparseable
+ * throws, so callers never mistake a corrupted file for an empty one.
+ */
+export function readJsonList(path, { label = basename(path), fallback = [] } = {}) {
+  if (!existsSync(path)) return fallback;
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not parse ${label} ${path}: ${e.message} — fix it or restore a backup before running again`);
+  }
+  if (!Array.isArray(data)) throw new Error(`${label} ${path} does not contain a JSON array`);
+  return data;
+}
+
+/**
+ * Writes JSON via a temp file + rename, so readers never see a partial file.
+ * `pretty: false` skips indentation for large generated files.
+ */
+export function writeJsonAtomic(path, data, { pretty = true } = {}) {
+  mkdirSync(dirname(path), { recursive: true });
+  const temp = join(dirname(path), `.${basename(path)}.${process.pid}.tmp`);
+  const fd = openSync(temp, "w");
+  try {
+    writeSync(fd, (pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data)) + "\n");
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(temp, path);
+}
+
+// ── Backups ──────────────────────────────────────────────
+
+function backupDir(path) {
+  return join(dirname(path), ".backups");
+}
+
+function backup(path) {
+  if (!existsSync(path)) return;
+  const dir = backupDir(path);
+  mkdirSync(dir, { recursive: true });
+  const name = basename(path, ".json");
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  copyFileSync(path, join(dir, `${name}-${stamp}.json`));
+
+  const old = readdirSync(dir)
+    .filter((f) => f.startsWith(`${name}-`) && f.endsWith(".json"))
+    .sort()
+    .slice(0, -MAX_BACKUPS);
+  for (const file of old) rmSync(join(dir, file));
+}
+
+// ── Articles ─────────────────────────────────────────────
+
+export function loadArticles(path = CONTENT_PATH) {
+  return readJsonList(path, { label: "articles file" });
+}
+
+/**
+ * Backs up the current file, writes the new list atomically and refreshes
+ * the month shards + index next to it (unless `shards: false`).
+ */
+export function saveArticles(path = CONTENT_PATH, articles, { shards = true } = {}) {
+  if (!Array.isArray(articles)) throw new Error("saveArticles expects an array");
+  backup(path);
+  writeJsonAtomic(path, articles);
+  if (shards) writeShards(articles, dirname(path));
+}
+
+// ── Shards + index ───────────────────────────────────────
+
+export function shardKey(article) {
+  return (article.addedAt || "").slice(0, 7) || "undated";
+}
+
+/** First ~160 characters of a summary, cut at a word boundary. */
+export function excerpt(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= EXCERPT_LENGTH) return clean;
+  const cut = clean.lastIndexOf(" ", EXCERPT_LENGTH);
+  return clean.slice(0, cut > 0 ? cut : EXCERPT_LENGTH) + "…";
+}
+
+// What the evidence badge shows; `basis` is for editors.
+function indexEvidence(evidence) {
+  if (!evidence) return null;
+  const { studyType, sampleSize, strength } = evidence;
+  return { studyType, sampleSize, strength };
+}
+
+// { origin: label } for the archive's source filter, from config/sources.json.
+// A broken sources file must not stop articles from saving; ids stand in for labels.
+function originLabels(articles) {
+  let labels = {};
+  try {
+    labels = Object.fromEntries(loadSources().map((s) => [s.name, s.label]));
+  } catch (e) {
+    console.error(`  Source labels unavailable for content/index.json: ${e.message}`);
+  }
+  const origins = [...new Set(articles.map((a) => a.origin).filter(Boolean))].sort();
+  return Object.fromEntries(origins.map((origin) => [origin, labels[origin] || origin]));
+}
+
+function indexTranslations(translations = {}) {
+  return Object.fromEntries(Object.entries(translations).map(([locale, t]) => [locale, { title: t.title }]));
+}
+
+/**
+ * Writes <dir>/articles/<YYYY-MM>.json (full entries, site order) and
+ * <dir>/index.json: { total, shards, origins, articles: [{ id, title, category, tags,
+ * evidence, locale, translations, publishDate, addedAt, origin, shard }] },
+ * origins mapping each source id to its label, evidence without its basis and
+ * translations holding just { title } per locale, <dir>/search.json with its
+ * shards in <dir>/search/ (see scout/search.js) and <dir>/related.json (see scout/related.js). Stale month
+ * files are removed.
+ *
+ * The index only has what the list views filter on and show without a
+ * summary; the archive fetches the month shards of the page it shows.
+ */
+export function writeShards(articles, dir) {
+  const shardDir = join(dir, "articles");
+  const byMonth = new Map();
+  for (const article of articles) {
+    const key = shardKey(article);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(article);
+  }
+
+  mkdirSync(shardDir, { recursive: true });
+  for (const [key, entries] of byMonth) writeJsonAtomic(join(shardDir, `${key}.json`), entries);
+  for (const file of readdirSync(shardDir)) {
+    if (file.endsWith(".json") && !byMonth.has(file.slice(0, -5))) rmSync(join(shardDir, file));
+  }
+
+  writeJsonAtomic(join(dir, "index.json"), {
+    total: articles.length,
+    shards: [...byMonth.keys()].sort().reverse(),
+    origins: originLabels(articles),
+    articles: articles.map((a) => ({
+      id: a.id,
+      title: a.title,
+      category: a.category,
+      tags: a.tags || [],
+      evidence: indexEvidence(a.evidence),
+      locale: a.locale || DEFAULT_LOCALE,
+      translations: indexTranslations(a.translations),
+      publishDate: a.publishDate,
+      addedAt: a.addedAt,
+      origin: a.origin || null,
+      shard: shardKey(a),
+    })),
+  }, { pretty: false });
+  writeSearchIndex(articles, dir);
+  writeJsonAtomic(join(dir, "related.json"), computeRelated(articles), { pretty: false });
+}
+
+// ── Locking ──────────────────────────────────────────────
+
+function lockIsStale(lockPath) {
+  try {
+    const { pid, at } = JSON.parse(readFileSync(lockPath, "utf-8"));
+    if (Date.now() - new Date(at) > LOCK_STALE_MS) return true;
+    process.kill(pid, 0);
+    return false;
+  } catch (e) {
+    // ESRCH: the owner is gone. Unreadable lock: a crash mid-write.
+    return e.code !== "EPERM";
+  }
+}
+
+/**
+ * Runs `fn` while holding <path>.lock. Waits up to 15s for another holder;
+ * locks left by dead processes (or older than 10 minutes) are taken over.
+ */
+export async function withLock(path, fn) {
+  const lockPath = `${path}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }), { flag: "wx" });
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      if (lockIsStale(lockPath)) {
+        rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`${basename(path)} is locked by another process (${lockPath}) — wait for it to finish or remove the lock if nothing is running`);
+      }
+      await sleep(200);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    rmSync(lockPath, { force: true });
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * summarize.js — Batch orchestration for the summarizer.
+ *
+ * Candidates are split into chunks of `batchSize` and summarized with at most
+ * `concurrency` chunks in flight. Each chunk is validated and repaired on its
+ * own (see scout/validate.js). A chunk whose answer hits max_tokens is split
+ * in half and retried down to single items; chunks that still fail are
+ * returned as `unprocessed` so the caller can queue them for the next run.
+ */
+
+import { requestJsonArray } from "./summarizer.js";
+import { validateSummaries } from "./validate.js";
+import { formatItem } from "./prompts.js";
+
+export const MAX_REPAIR_ROUNDS = 2;
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/** Summarize one chunk, then re-prompt for just the items that fail validation. */
+async function summarizeChunk(batch, summarizer, prompt, label) {
+  const output = await requestJsonArray(summarizer, prompt.render(batch.map(formatItem)), batch);
+  const first = validateSummaries(output, batch);
+  const articles = first.valid;
+  const unexpected = first.unexpected;
+  let failures = first.failures;
+
+  for (let round = 1; failures.length > 0 && round <= MAX_REPAIR_ROUNDS; round++) {
+    console.log(`  ${label}: repairing ${failures.length} invalid item(s), round ${round}...`);
+    const entries = failures.map((f, i) => {
+      const previous = f.output ? JSON.stringify(f.output) : "(missing)";
+      return `${formatItem(f.input, i)}\n    Previous answer: ${previous}\n    Problems: ${f.errors.join("; ")}`;
+    });
+
+    let repaired;
+    try {
+      repaired = await requestJsonArray(summarizer, prompt.render(entries, { repair: true }), failures.map((f) => f.input));
+    } catch (e) {
+      console.error(`  ${label}: repair round ${round} failed: ${e.message}`);
+      break;
+    }
+
+    const result = validateSummaries(repaired, failures.map((f) => f.input));
+    articles.push(...result.valid);
+    unexpected.push(...result.unexpected);
+    failures = result.failures;
+  }
+
+  return { articles, dropped: failures, unexpected, unprocessed: [] };
+}
+
+async function summarizeWithSplitting(batch, summarizer, prompt, label) {
+  try {
+    return await summarizeChunk(batch, summarizer, prompt, label);
+  } catch (e) {
+    if (e.code === "TRUNCATED" && batch.length > 1) {
+      const half = Math.ceil(batch.length / 2);
+      console.log(`  ${label}: truncated at ${batch.length} items, retrying as ${half} + ${batch.length - half}`);
+      const left = await summarizeWithSplitting(batch.slice(0, half), summarizer, prompt, `${label}a`);
+      const right = await summarizeWithSplitting(batch.slice(half), summarizer, prompt, `${label}b`);
+      return mergeResults([left, right]);
+    }
+    console.error(`  ${label}: FAILED — ${e.message} (${batch.length} item(s) queued for next run)`);
+    return { articles: [], dropped: [], unexpected: [], unprocessed: batch.map((item) => ({ item, error: e.message })) };
+  }
+}
+
+function mergeResults(results) {
+  return {
+    articles: results.flatMap((r) => r.articles),
+    dropped: results.flatMap((r) => r.dropped),
+    unexpected: results.flatMap((r) => r.unexpected),
+    unprocessed: results.flatMap((r) => r.unprocessed),
+  };
+}
+
+/**
+ * Summarize every candidate in chunks. Returns
+ * { articles, dropped, unexpected, unprocessed } — unprocessed are
+ * { item, error } pairs for chunks that failed outright.
+ */
+export async function summarizeCandidates(items, summarizer, prompt) {
+  const { batchSize, concurrency = 1 } = summarizer.config;
+  const chunks = chunk(items, Math.max(1, batchSize));
+  if (chunks.length > 1) {
+    console.log(`  ${items.length} candidates in ${chunks.length} batches of up to ${batchSize} (concurrency ${concurrency})\n`);
+  }
+
+  const results = await mapWithConcurrency(chunks, Math.max(1, concurrency), (batch, i) =>
+    summarizeWithSplitting(batch, summarizer, prompt, `batch ${i + 1}`)
+  );
+  return mergeResults(results);
+}
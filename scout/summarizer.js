@@ -0,0 +1,205 @@
+/**
+ * summarizer.js — Pluggable LLM backends for Hebrew summarization.
+ *
+ * Backends (config/summarizer.json → "backend", or --summarizer=<name>):
+ *   anthropic  — Anthropic Messages API (ANTHROPIC_API_KEY)
+ *   openai     — Any OpenAI-compatible /chat/completions server (llama.cpp, Ollama, vLLM…)
+ *   mock       — Deterministic offline backend; answers from a fixtures file keyed by
+ *                sourceUrl and generates stable placeholder Hebrew for anything else
+ *
+ * Every backend exposes complete({ prompt, items }) → { text, stopReason }, where
+ * stopReason is "max_tokens" when the answer was cut off. requestJsonArray() wraps
+ * it with the JSON extraction the pipeline relies on, throwing an error with
+ * code "TRUNCATED" on cut-off answers so callers can retry smaller batches.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { httpFetch } from "./http.js";
+import { CATEGORIES } from "./validate.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const SUMMARIZER_CONFIG_PATH = resolve(__dirname, "../config/summarizer.json");
+
+const DEFAULTS = {
+  backend: "anthropic",
+  model: "claude-sonnet-4-5-20250929",
+  temperature: 1,
+  maxTokens: 8192,
+  batchSize: 10,
+  concurrency: 2,
+  maxPerRun: 40,
+  timeoutMs: 180000,
+};
+
+// ── Config ───────────────────────────────────────────────
+
+/**
+ * Merges config/summarizer.json with CLI overrides. Per-backend sections
+ * (config.backends[name]) override the top-level values for that backend.
+ */
+export function loadSummarizerConfig(overrides = {}, path = SUMMARIZER_CONFIG_PATH) {
+  let file = {};
+  if (existsSync(path)) {
+    try {
+      file = JSON.parse(readFileSync(path, "utf-8"));
+    } catch (e) {
+      throw new Error(`Could not read summarizer config ${path}: ${e.message}`);
+    }
+  }
+
+  const { backends = {}, ...top } = file;
+  const backend = overrides.backend || top.backend || DEFAULTS.backend;
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown summarizer backend "${backend}" (expected ${Object.keys(BACKENDS).join(", ")})`);
+  }
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+  return { ...DEFAULTS, ...top, ...backends[backend], ...defined, backend };
+}
+
+// ── Backends ─────────────────────────────────────────────
+
+function anthropicBackend(config) {
+  const endpoint = config.endpoint || "https://api.anthropic.com/v1/messages";
+  const keyEnv = config.apiKeyEnv || "ANTHROPIC_API_KEY";
+
+  return {
+    async complete({ prompt }) {
+      const apiKey = process.env[keyEnv];
+      if (!apiKey) {
+        throw new Error(`${keyEnv} environment variable is required for the anthropic summarizer`);
+      }
+
+      const res = await httpFetch(endpoint, {
+        method: "POST",
+        timeoutMs: config.timeoutMs,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: config.maxTokens,
+          temperature: config.temperature,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text();
+        throw new Error(`Anthropic API error ${res.status}: ${body}`);
+      }
+
+      const data = await res.json();
+      const text = (data.content || []).map((block) => block.text || "").join("").trim();
+      return { text, stopReason: data.stop_reason === "max_tokens" ? "max_tokens" : data.stop_reason };
+    },
+  };
+}
+
+function openaiBackend(config) {
+  const baseUrl = (config.baseUrl || "http://localhost:8080/v1").replace(/\/+$/, "");
+  const keyEnv = config.apiKeyEnv || "OPENAI_API_KEY";
+
+  return {
+    async complete({ prompt }) {
+      const headers = { "Content-Type": "application/json" };
+      if (process.env[keyEnv]) headers.Authorization = `Bearer ${process.env[keyEnv]}`;
+
+      const res = await httpFetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        timeoutMs: config.timeoutMs,
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: config.maxTokens,
+          temperature: config.temperature,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text();
+        throw new Error(`OpenAI-compatible API error ${res.status}: ${body}`);
+      }
+
+      const data = await res.json();
+      const choice = data.choices?.[0] || {};
+      const text = (choice.message?.content || choice.text || "").trim();
+      return { text, stopReason: choice.finish_reason === "length" ? "max_tokens" : choice.finish_reason };
+    },
+  };
+}
+
+function stableHash(value) {
+  let hash = 2166136261;
+  for (const ch of value) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash;
+}
+
+function mockBackend(config) {
+  const fixturesPath = config.fixtures ? resolve(__dirname, "..", config.fixtures) : null;
+  const fixtures = fixturesPath && existsSync(fixturesPath) ? JSON.parse(readFileSync(fixturesPath, "utf-8")) : {};
+
+  return {
+    async complete({ items }) {
+      const output = items.map((item) => {
+        const fixture = fixtures[item.link];
+        if (fixture) return { ...fixture, sourceUrl: item.link };
+
+        // Hebrew letters rather than digits: a number missing from the source would trip the safety check.
+        const n = stableHash(item.link) % 10000;
+        const code = [...String(n).padStart(4, "0")].map((digit) => "אבגדהוזחטי"[digit]).join("");
+        return {
+          title: `כתבת בדיקה ${code} על מחקר באריכות ימים`,
+          summary: `זהו סיכום קבוע שנוצר על ידי מנוע הבדיקה המקומי עבור הכתבה ${code}. הוא משמש לבדיקת הצנרת ללא חיבור לרשת ואינו מתאר ממצא אמיתי.`,
+          bottomLine: "אין להסיק מסקנות מכתבת בדיקה זו.",
+          category: item.categoryHint || CATEGORIES[n % CATEGORIES.length],
+          sourceUrl: item.link,
+        };
+      });
+      return { text: JSON.stringify(output, null, 2), stopReason: "end_turn" };
+    },
+  };
+}
+
+const BACKENDS = {
+  anthropic: anthropicBackend,
+  openai: openaiBackend,
+  mock: mockBackend,
+};
+
+export function createSummarizer(config) {
+  const backend = BACKENDS[config.backend](config);
+  return { ...backend, name: config.backend, model: config.backend === "mock" ? "mock" : config.model, config };
+}
+
+// ── JSON extraction ──────────────────────────────────────
+
+export async function requestJsonArray(summarizer, prompt, items) {
+  const { text, stopReason } = await summarizer.complete({ prompt, items });
+
+  if (stopReason === "max_tokens") {
+    const error = new Error("Summarizer response was truncated — reduce batch size or increase max tokens");
+    error.code = "TRUNCATED";
+    throw error;
+  }
+
+  const jsonMatch = text.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) {
+    console.error("Raw summarizer response:\n", text);
+    throw new Error("Could not find JSON array in summarizer response");
+  }
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (e) {
+    console.error("JSON parse failed. Raw extracted text:\n", jsonMatch[0]);
+    throw new Error(`Failed to parse summarizer response as JSON: ${e.message}`);
+  }
+}
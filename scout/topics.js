@@ -0,0 +1,126 @@
+/**
+ * topics.js — Topic tags from the curated vocabulary in config/topics.json.
+ *
+ * Each topic is { tag, slug, terms }: `tag` is the Hebrew label stored in
+ * article.tags and shown on the chips, `slug` names its landing page
+ * (tags/<slug>.html in the static build), and `terms` are the Hebrew and
+ * English words that mark an article as being about it. Terms match at the
+ * start of a word, so a stem covers its inflections ("senescen" → senescent,
+ * senescence) and Hebrew terms also match behind up to two prefix letters
+ * (ו, ה, ב, ל, מ, ש, כ — "בשינה", "והשינה"). A leading "=" makes a term match
+ * whole words only ("=מוח" matches "במוח" but not "מוחלט").
+ *
+ * The summarizer is offered the same tag list (the {{topics}} prompt variable);
+ * its picks are mapped back onto the vocabulary and count extra, since it read
+ * the whole text. At most maxTags tags are kept, strongest first.
+ */
+
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { loadSearchEngine } from "./search.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const TOPICS_PATH = resolve(__dirname, "../config/topics.json");
+
+const DEFAULT_MAX_TAGS = 4;
+
+// Scores: a term in the title counts twice, a summarizer pick three times.
+const TITLE_WEIGHT = 2;
+const SUGGESTED_WEIGHT = 3;
+
+// ── Vocabulary ───────────────────────────────────────────
+
+function termPattern(term, normalize) {
+  const wholeWord = term.startsWith("=");
+  const escaped = normalize(wholeWord ? term.slice(1) : term).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/[\s-]+/g, "[\\s-]+");
+  const end = wholeWord ? "(?![a-z0-9\\u05D0-\\u05EA])" : "";
+  return /[\u05D0-\u05EA]/.test(term)
+    ? new RegExp(`(?:^|[^a-z0-9\\u05D0-\\u05EA])[והבלמשכ]{0,2}${escaped}${end}`, "g")
+    : new RegExp(`(?:^|[^a-z0-9])${escaped}${end}`, "g");
+}
+
+/** { maxTags, topics: [{ tag, slug, terms, patterns }] } */
+export function loadTopics(path = TOPICS_PATH) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Could not read topics config ${path}: ${e.message}`);
+  }
+
+  const { normalize } = loadSearchEngine();
+  const slugs = new Set();
+  const topics = (config.topics || []).map((topic, i) => {
+    if (!topic.tag || !topic.slug || !Array.isArray(topic.terms)) {
+      throw new Error(`${path}: topic #${i + 1} needs "tag", "slug" and a "terms" array`);
+    }
+    if (!/^[a-z0-9-]+$/.test(topic.slug)) throw new Error(`${path}: slug "${topic.slug}" must be lowercase a-z, 0-9 and "-"`);
+    if (slugs.has(topic.slug)) throw new Error(`${path}: duplicate slug "${topic.slug}"`);
+    slugs.add(topic.slug);
+    return { ...topic, patterns: [topic.tag, ...topic.terms].map((term) => termPattern(term, normalize)) };
+  });
+  return { maxTags: config.maxTags || DEFAULT_MAX_TAGS, topics };
+}
+
+/** The vocabulary topic a tag (label, slug or any of its terms) stands for, or null. */
+export function findTopic(vocabulary, tag) {
+  const { normalize } = loadSearchEngine();
+  const wanted = normalize(String(tag).trim().replace(/^#/, ""));
+  return vocabulary.topics.find((t) => [t.tag, t.slug, ...t.terms].some((term) => normalize(term.replace(/^=/, "")) === wanted)) || null;
+}
+
+// ── Tagging ──────────────────────────────────────────────
+
+function countMatches(topic, text) {
+  return topic.patterns.reduce((n, pattern) => n + (text.match(pattern) || []).length, 0);
+}
+
+/**
+ * Tags for an article: vocabulary topics found in its title / summary /
+ * bottomLine / originalTitle, plus article.tags as suggestions. Suggestions
+ * outside the vocabulary are dropped, unless `keepUnknown` (hand-set tags from
+ * --apply or an editor) — those are kept after the vocabulary tags.
+ */
+export function tagArticle(article, vocabulary, { keepUnknown = false } = {}) {
+  const { normalize } = loadSearchEngine();
+  const title = normalize([article.title, article.originalTitle].filter(Boolean).join(" \n "));
+  const body = normalize([article.summary, article.bottomLine].filter(Boolean).join(" \n "));
+
+  const scores = new Map();
+  for (const topic of vocabulary.topics) {
+    const score = TITLE_WEIGHT * countMatches(topic, title) + countMatches(topic, body);
+    if (score > 0) scores.set(topic.tag, score);
+  }
+
+  const unknown = [];
+  for (const suggestion of Array.isArray(article.tags) ? article.tags : []) {
+    if (typeof suggestion !== "string" || !suggestion.trim()) continue;
+    const topic = findTopic(vocabulary, suggestion);
+    if (topic) scores.set(topic.tag, (scores.get(topic.tag) || 0) + SUGGESTED_WEIGHT);
+    else if (keepUnknown && !unknown.includes(suggestion.trim())) unknown.push(suggestion.trim());
+  }
+
+  const tags = [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, vocabulary.maxTags)
+    .map(([tag]) => tag);
+  return [...tags, ...unknown];
+}
+
+// ── Backfill ─────────────────────────────────────────────
+
+/**
+ * Retags every article. Returns { articles, changed } — articles whose tags
+ * did not change are returned as they were.
+ */
+export function backfillTags(articles, vocabulary) {
+  let changed = 0;
+  const tagged = articles.map((article) => {
+    const tags = tagArticle(article, vocabulary, { keepUnknown: true });
+    if (JSON.stringify(tags) === JSON.stringify(article.tags || [])) return article;
+    changed++;
+    return { ...article, tags };
+  });
+  return { articles: tagged, changed };
+}
@@ -0,0 +1,174 @@
+/**
+ * validate.js — Schema checks for summarizer output.
+ *
+ * Every summarized item must have non-empty Hebrew title/summary/bottomLine,
+ * a category from CATEGORIES (the archive filters and CATEGORY_ICONS depend
+ * on it) and a sourceUrl that matches one of the inputs. Inputs with no valid
+ * output come back as failures so the caller can re-prompt for just those.
+ *
+ * The optional English edition ("en": { title, summary, bottomLine }) is kept as
+ * `translations.en` when it passes the same length checks in English; one that
+ * doesn't is dropped rather than re-prompted, since the Hebrew article stands alone.
+ */
+
+import { canonicalizeUrl } from "./dedupe.js";
+
+export const CATEGORIES = ["מחקר", "תזונה", "אורח חיים", "טכנולוגיה רפואית", "גנטיקה"];
+
+// Emoji per category for the digest and social posts (the site pages keep their own copy in js/).
+export const CATEGORY_ICONS = {
+  "מחקר": "🔬",
+  "תזונה": "🥗",
+  "אורח חיים": "🏃",
+  "טכנולוגיה רפואית": "🩺",
+  "גנטיקה": "🧬",
+};
+
+// Languages an article can carry a translation in, besides its Hebrew original.
+export const TRANSLATION_LOCALES = ["en"];
+
+const TEXT_FIELDS = {
+  title: { min: 8, max: 140 },
+  summary: { min: 40, max: 1200 },
+  bottomLine: { min: 10, max: 400 },
+};
+
+function checkHebrew(field, value) {
+  const hebrew = (value.match(/[\u0590-\u05FF]/g) || []).length;
+  const latin = (value.match(/[A-Za-z]/g) || []).length;
+  if (hebrew === 0) return `${field} is not in Hebrew`;
+  if (latin > hebrew) return `${field} is mostly non-Hebrew`;
+  return null;
+}
+
+function checkEnglish(field, value) {
+  const hebrew = (value.match(/[\u0590-\u05FF]/g) || []).length;
+  const latin = (value.match(/[A-Za-z]/g) || []).length;
+  if (latin === 0 || hebrew > 0) return `${field} is not in English`;
+  return null;
+}
+
+function checkTextFields(item, prefix, checkLanguage) {
+  const errors = [];
+  for (const [field, { min, max }] of Object.entries(TEXT_FIELDS)) {
+    const name = prefix + field;
+    const value = item[field];
+    if (typeof value !== "string" || !value.trim()) {
+      errors.push(`${name} is missing or empty`);
+      continue;
+    }
+    const text = value.trim();
+    if (text.length < min) errors.push(`${name} is too short (${text.length} chars, min ${min})`);
+    if (text.length > max) errors.push(`${name} is too long (${text.length} chars, max ${max})`);
+    const languageError = checkLanguage(name, text);
+    if (languageError) errors.push(languageError);
+  }
+  return errors;
+}
+
+/** Errors for a `translations` object: { en: { title, summary, bottomLine } }. */
+export function validateTranslations(translations) {
+  if (!translations || typeof translations !== "object" || Array.isArray(translations)) return ["translations is not an object"];
+  const errors = [];
+  for (const [locale, translation] of Object.entries(translations)) {
+    if (!TRANSLATION_LOCALES.includes(locale)) {
+      errors.push(`translations.${locale} is not one of: ${TRANSLATION_LOCALES.join(", ")}`);
+    } else if (!translation || typeof translation !== "object" || Array.isArray(translation)) {
+      errors.push(`translations.${locale} is not an object`);
+    } else {
+      errors.push(...checkTextFields(translation, `translations.${locale}.`, checkEnglish));
+    }
+  }
+  return errors;
+}
+
+// The summarizer's "en" object as stored translations, or {} when missing or invalid.
+function translationsFrom(en) {
+  if (validateTranslations({ en }).length > 0) return {};
+  const { title, summary, bottomLine } = en;
+  return { en: { title: title.trim(), summary: summary.trim(), bottomLine: bottomLine.trim() } };
+}
+
+/** Field-level errors for one summarized item (empty array when valid). */
+export function validateSummary(article) {
+  if (!article || typeof article !== "object" || Array.isArray(article)) return ["item is not a JSON object"];
+
+  const errors = checkTextFields(article, "", checkHebrew);
+
+  if (!CATEGORIES.includes(typeof article.category === "string" ? article.category.trim() : article.category)) {
+    errors.push(`category "${article.category}" is not one of: ${CATEGORIES.join(", ")}`);
+  }
+  if (typeof article.sourceUrl !== "string" || !article.sourceUrl.trim()) {
+    errors.push("sourceUrl is missing");
+  }
+  if (article.translations !== undefined) errors.push(...validateTranslations(article.translations));
+  return errors;
+}
+
+/**
+ * Matches summarizer output to its inputs and validates each pair.
+ *
+ * Returns:
+ *   valid       — normalized articles, sourceUrl copied verbatim from the input
+ *   failures    — [{ input, output, errors }] for inputs without a valid output
+ *   unexpected  — [{ output, errors }] outputs that matched no input
+ */
+export function validateSummaries(output, inputs) {
+  const list = Array.isArray(output) ? output : [];
+  const byUrl = new Map(inputs.map((input) => [canonicalizeUrl(input.link), input]));
+  const matched = new Map();
+  const unmatched = [];
+
+  list.forEach((article, position) => {
+    const input = article && typeof article.sourceUrl === "string" ? byUrl.get(canonicalizeUrl(article.sourceUrl)) : null;
+    if (input && !matched.has(input)) matched.set(input, article);
+    else unmatched.push({ article, position, duplicate: Boolean(input) });
+  });
+
+  const valid = [];
+  const failures = [];
+
+  inputs.forEach((input, position) => {
+    let article = matched.get(input);
+    const errors = [];
+
+    if (!article) {
+      // Same position in the array usually means the model garbled the URL.
+      const stray = unmatched.find((u) => u.position === position && !u.duplicate && !u.claimed);
+      if (stray) {
+        stray.claimed = true;
+        article = stray.article;
+        errors.push(`sourceUrl "${article?.sourceUrl}" does not match the input URL`);
+      } else {
+        failures.push({ input, output: null, errors: ["missing from response"] });
+        return;
+      }
+    }
+
+    errors.push(...validateSummary(article));
+    if (errors.length > 0) {
+      failures.push({ input, output: article, errors });
+      return;
+    }
+
+    const { en, ...rest } = article;
+    valid.push({
+      ...rest,
+      translations: translationsFrom(en),
+      title: article.title.trim(),
+      summary: article.summary.trim(),
+      bottomLine: article.bottomLine.trim(),
+      category: article.category.trim(),
+      sourceUrl: input.link,
+    });
+  });
+
+  const unexpected = unmatched
+    .filter((u) => !u.claimed)
+    .map((u) => ({
+      output: u.article,
+      errors: [u.duplicate ? "duplicate output for the same sourceUrl" : "sourceUrl matches no input"],
+    }));
+
+  return { valid, failures, unexpected };
+}
@@ -0,0 +1,108 @@
+/**
+ * dedupe.test.js — scout/dedupe.js: canonical URLs, DOI / PMID extraction,
+ * title similarity, the stored-article index and in-run clustering. A mistake
+ * here drops articles without a trace, so the edges are pinned down.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  canonicalizeUrl,
+  normalizeDoi,
+  pmidFromUrl,
+  resolveGoogleNewsUrl,
+  titleTokens,
+  titleSimilarity,
+  buildIndex,
+  addToIndex,
+  findDuplicate,
+  clusterCandidates,
+  TITLE_SIMILARITY_THRESHOLD,
+} from "../scout/dedupe.js";
+
+test("canonicalizeUrl: scheme, host prefixes, tracking parameters, AMP and slashes", () => {
+  assert.equal(canonicalizeUrl("http://WWW.Example.com/a/b/amp/?utm_source=x&b=2&a=1&fbclid=z#top"), "https://example.com/a/b?a=1&b=2");
+  assert.equal(canonicalizeUrl("https://m.example.com/news/story/"), "https://example.com/news/story");
+  assert.equal(canonicalizeUrl("https://amp.example.com/news/story?oc=5"), "https://example.com/news/story");
+  // Parameters that pick the article survive
+  assert.equal(canonicalizeUrl("https://example.com/article.php?id=42&ref=rss"), "https://example.com/article.php?id=42");
+  assert.equal(canonicalizeUrl("not a url/"), "not a url");
+  assert.equal(canonicalizeUrl(""), "");
+});
+
+test("canonicalizeUrl: DOI links collapse to the DOI", () => {
+  assert.equal(canonicalizeUrl("https://doi.org/10.1038/S41586-024-0001-X"), "doi:10.1038/s41586-024-0001-x");
+  assert.equal(canonicalizeUrl("http://dx.doi.org/10.1038/s41586-024-0001-x"), "doi:10.1038/s41586-024-0001-x");
+});
+
+test("normalizeDoi and pmidFromUrl", () => {
+  assert.equal(normalizeDoi("doi: 10.1001/jama.2024.1234,"), "10.1001/jama.2024.1234");
+  assert.equal(normalizeDoi("https://doi.org/10.1016/S0140-6736%2824%2900001-2."), "10.1016/s0140-6736(24)00001-2");
+  assert.equal(normalizeDoi("https://www.nature.com/articles/s41586-024-0001-x"), "");
+  assert.equal(normalizeDoi(null), "");
+
+  assert.equal(pmidFromUrl("https://pubmed.ncbi.nlm.nih.gov/38412345/"), "38412345");
+  assert.equal(pmidFromUrl("https://www.ncbi.nlm.nih.gov/pubmed/38412345"), "38412345");
+  assert.equal(pmidFromUrl("https://example.org/38412345"), "");
+});
+
+test("resolveGoogleNewsUrl: older ids carry the publisher URL, other links pass through", async () => {
+  const id = Buffer.from("\x08\x13\x22\x2ehttps://www.example.com/health/walking?utm_source=x\xd2\x01\x00", "latin1")
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+  assert.equal(await resolveGoogleNewsUrl(`https://news.google.com/rss/articles/${id}?oc=5`), "https://www.example.com/health/walking?utm_source=x");
+  assert.equal(await resolveGoogleNewsUrl("https://www.sciencedaily.com/releases/2026/03/x.htm"), "https://www.sciencedaily.com/releases/2026/03/x.htm");
+  assert.equal(await resolveGoogleNewsUrl("not a url"), "not a url");
+});
+
+test("titleSimilarity: the same story in other words matches, a different one doesn't", () => {
+  assert.deepEqual([...titleTokens("New study finds: Coffee & the Aging Brain")], ["coffee", "aging", "brain"]);
+  const walking = "Daily walking linked to slower biological aging in older adults";
+  assert.ok(titleSimilarity(walking, "Walking daily slows biological aging in older adults, study finds") >= TITLE_SIMILARITY_THRESHOLD);
+  assert.ok(titleSimilarity(walking, "Daily coffee linked to lower dementia risk in older adults") < TITLE_SIMILARITY_THRESHOLD);
+  assert.equal(titleSimilarity("", walking), 0);
+});
+
+test("findDuplicate: url, doi, pmid, Hebrew title and English title, in that order", () => {
+  const index = buildIndex([
+    { title: "הליכה יומית", sourceUrl: "https://www.example.com/walking?utm_source=rss", originalTitle: "Daily walking linked to slower biological aging in older adults" },
+    { title: "קפה ומוח", sourceUrl: "https://doi.org/10.1000/coffee.1" },
+    { title: "שינה", sourceUrl: "https://pubmed.ncbi.nlm.nih.gov/111/" },
+  ]);
+  assert.equal(findDuplicate(index, { link: "http://example.com/walking/" }), "url");
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/x", doi: "10.1000/COFFEE.1" }), "doi");
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/y", pmid: 111 }), "pmid");
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/z", title: " הליכה יומית " }), "title");
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/w", title: "Walking daily slows biological aging in older adults" }), "title");
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/v", title: "Daily coffee linked to lower dementia risk" }), null);
+
+  addToIndex(index, { title: "חדש", sourceUrl: "https://publisher.org/v" });
+  assert.equal(findDuplicate(index, { link: "https://publisher.org/v" }), "url");
+});
+
+test("clusterCandidates: one representative per story, identifiers merged", () => {
+  const news = { title: "Daily walking linked to slower biological aging", link: "https://news.example/walking", canonicalUrl: "https://news.example/walking", origin: "google-news", description: "short" };
+  const outlet = { title: "Walking daily slows biological aging", link: "https://doi.org/10.1000/steps", canonicalUrl: "doi:10.1000/steps", doi: "10.1000/steps", origin: "sciencedaily" };
+  const paper = { title: "Step count and epigenetic age in older adults", link: "https://pubmed.ncbi.nlm.nih.gov/222/", canonicalUrl: "https://pubmed.ncbi.nlm.nih.gov/222", pmid: "222", doi: "10.1000/steps", origin: "pubmed" };
+  const other = { title: "Daily coffee linked to lower dementia risk", link: "https://news.example/coffee", canonicalUrl: "https://news.example/coffee", origin: "google-news" };
+
+  // news ~ outlet by title, outlet ~ paper by DOI: one story
+  const clusters = clusterCandidates([news, outlet, paper, other]);
+  assert.equal(clusters.length, 2);
+  const [walking, coffee] = clusters;
+  // The PubMed record leads: it has the most metadata
+  assert.equal(walking.link, paper.link);
+  assert.equal(walking.pmid, "222");
+  assert.deepEqual(walking.duplicates.map((d) => d.origin), ["sciencedaily", "google-news"]);
+  assert.equal(coffee, other);
+});
+
+test("clusterCandidates: a DOI found on a duplicate is merged into the lead", () => {
+  const lead = { title: "Senolytics and frailty: a pilot trial", link: "https://a.example/x", canonicalUrl: "https://a.example/x", pmid: "333" };
+  const copy = { title: "Senolytics and frailty: pilot trial results", link: "https://b.example/y", canonicalUrl: "https://b.example/y", doi: "10.1000/seno" };
+  const [merged] = clusterCandidates([copy, lead]);
+  assert.equal(merged.link, lead.link);
+  assert.equal(merged.doi, "10.1000/seno");
+});
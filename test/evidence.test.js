@@ -0,0 +1,30 @@
+/**
+ * evidence.test.js — Sample sizes read from article text (scout/evidence.js),
+ * and what they do to the strength badge.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sampleSizeFromText, classifyEvidence, evidenceStrength } from "../scout/evidence.js";
+
+test("sampleSizeFromText: counts, separators and multipliers", () => {
+  assert.equal(sampleSizeFromText("A trial of 369 adults aged 70 and over"), 369);
+  assert.equal(sampleSizeFromText("Data from 1.5 million people in the UK Biobank"), 1500000);
+  assert.equal(sampleSizeFromText("במחקר השתתפו 4,200 מבוגרים"), 4200);
+  assert.equal(sampleSizeFromText("No participants were named"), null);
+});
+
+test("sampleSizeFromText: a year is not a sample size", () => {
+  assert.equal(sampleSizeFromText("In 2024 adults over 65 were recruited"), null);
+  assert.equal(sampleSizeFromText("In 2024, 40 adults were recruited"), 40);
+  assert.equal(sampleSizeFromText("ב-2024 מבוגרים גויסו לניסוי של 40 משתתפים"), 40);
+  // …unless it carries a thousands separator or "n ="
+  assert.equal(sampleSizeFromText("2,024 adults took part"), 2024);
+  assert.equal(sampleSizeFromText("a cohort (n = 2024)"), 2024);
+});
+
+test("classifyEvidence: a year in the summary doesn't lift a small trial's strength", () => {
+  const evidence = classifyEvidence({ title: "ניסוי קטן", summary: "ב-2024 מבוגרים גויסו לניסוי של 40 משתתפים", studyType: "rct" });
+  assert.deepEqual(evidence, { studyType: "rct", sampleSize: 40, strength: evidenceStrength("rct", 40), basis: "summarizer" });
+  assert.notEqual(evidence.strength, evidenceStrength("rct"));
+});
@@ -0,0 +1,135 @@
+/**
+ * feed-parser.test.js — scout/feed-parser.js against one fixture per source shape
+ * (fixtures/feeds/): Google News, ScienceDaily, Medical News Today, Atom and
+ * bioRxiv's RDF / RSS 1.0.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { FeedParser, parseFeed, decodeEntities, htmlToText } from "../scout/feed-parser.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => readFileSync(resolve(__dirname, "../fixtures/feeds", name), "utf-8");
+
+test("Google News RSS: entity-encoded HTML descriptions and double-encoded titles", () => {
+  const feed = parseFeed(fixture("google-news.xml"));
+  assert.equal(feed.format, "rss");
+  assert.equal(feed.title, '"longevity OR anti-aging OR lifespan OR healthy aging" - Google News');
+  assert.equal(feed.items.length, 2);
+
+  const [first, second] = feed.items;
+  assert.deepEqual(first, {
+    title: "Scientists find a protein that slows muscle aging in mice - Reuters",
+    link: "https://news.google.com/rss/articles/CBMiWmh0dHBzOi8vd3d3LnJldXRlcnMuY29tL2hlYWx0aC9tdXNjbGUtYWdpbmc?oc=5",
+    pubDate: "Tue, 17 Mar 2026 16:05:00 GMT",
+    description: "Scientists find a protein that slows muscle aging in mice Reuters",
+    author: "",
+    guid: "CBMiWmh0dHBzOi8vd3d3LnJldXRlcnMuY29tL2hlYWx0aC9tdXNjbGUtYWdpbmc",
+    image: "",
+  });
+  // &amp;#8217; in the feed decodes twice to a right single quote
+  assert.equal(second.title, "What’s the best diet for a longer life? Experts weigh in - The Guardian");
+  assert.equal(second.description, "What’s the best diet for a longer life? Experts weigh in The Guardian");
+});
+
+test("ScienceDaily RSS: media:content images, entities in descriptions", () => {
+  const feed = parseFeed(fixture("sciencedaily.xml"));
+  assert.equal(feed.format, "rss");
+  assert.equal(feed.title, "Healthy Aging News -- ScienceDaily");
+
+  const [first, second] = feed.items;
+  assert.equal(first.title, "Older adults who lift weights keep more of their leg strength");
+  assert.equal(first.link, "https://www.sciencedaily.com/releases/2026/03/260316120102.htm");
+  assert.equal(first.guid, first.link);
+  assert.equal(first.pubDate, "Mon, 16 Mar 2026 12:01:02 EDT");
+  assert.equal(first.image, "https://www.sciencedaily.com/images/1920/older-adults-weights.jpg");
+  assert.match(first.description, /^In a randomized trial of 369 adults/);
+
+  assert.equal(second.image, "");
+  assert.match(second.description, /risk of death & cardiometabolic disease\.$/);
+});
+
+test("Medical News Today RSS: CDATA titles, dc:creator, enclosure images", () => {
+  const feed = parseFeed(fixture("medicalnewstoday.xml"));
+  assert.equal(feed.title, "Medical News Today: Aging");
+
+  const [first, second] = feed.items;
+  assert.deepEqual(first, {
+    title: 'Mediterranean diet & "brain age": What a new study shows',
+    link: "https://www.medicalnewstoday.com/articles/mediterranean-diet-brain-age",
+    pubDate: "Tue, 17 Mar 2026 10:00:00 +0000",
+    description: "People who followed a Mediterranean-style diet had brains that looked younger on MRI scans.",
+    author: "Jane Doe",
+    guid: "mnt-398211",
+    // The enclosure wins over the <img> inside the description
+    image: "https://post.medicalnewstoday.com/wp-content/uploads/mediterranean-diet.jpg",
+  });
+
+  assert.equal(second.title, "Is coffee good for longevity? Here’s what the research says");
+  assert.equal(second.author, "MNT Editors");
+  assert.equal(second.description, "Moderate coffee intake — 2 to 3 cups a day — has been linked to a longer lifespan.");
+});
+
+test("Atom: alternate links, author/name, published before updated, link rel=enclosure", () => {
+  const feed = parseFeed(fixture("atom.xml"));
+  assert.equal(feed.format, "atom");
+  assert.equal(feed.title, "Aging Research Blog");
+
+  const [first, second] = feed.items;
+  assert.deepEqual(first, {
+    title: "Senolytics & frailty: early results",
+    link: "https://example.org/aging/senolytics-frailty",
+    pubDate: "2026-03-17T09:15:00Z",
+    description: "A pilot trial of dasatinib plus quercetin in 20 frail adults.",
+    author: "Dr. Ada Park",
+    guid: "tag:example.org,2026:aging/1042",
+    image: "https://example.org/aging/img/senolytics.png",
+  });
+
+  assert.equal(second.link, "https://example.org/aging/calorie-restriction-primates");
+  assert.equal(second.pubDate, "2026-03-16T08:00:00Z");
+  assert.equal(second.description, "Two long-running monkey studies, read together.");
+});
+
+test("RDF / RSS 1.0: dc:date, dc:identifier, rdf:about as the fallback link", () => {
+  const feed = parseFeed(fixture("biorxiv-rdf.xml"));
+  assert.equal(feed.format, "rdf");
+  assert.equal(feed.title, "bioRxiv Subject Collection: Aging");
+  assert.equal(feed.items.length, 2);
+
+  const [first, second] = feed.items;
+  assert.deepEqual(first, {
+    title: "Epigenetic reprogramming extends lifespan in C. elegans",
+    link: "http://biorxiv.org/cgi/content/short/2026.03.10.587123v1?rss=1",
+    pubDate: "2026-03-10",
+    description: "Partial reprogramming with OSK factors extended median lifespan by 18%.",
+    author: "Kim, S., Lopez, R.",
+    guid: "doi:10.1101/2026.03.10.587123",
+    image: "",
+  });
+
+  assert.equal(second.title, "Mitochondrial β-oxidation declines with age in human muscle");
+  assert.equal(second.link, "http://biorxiv.org/cgi/content/short/2026.03.09.586990v1?rss=1");
+  assert.equal(second.guid, second.link);
+  assert.equal(second.description, "Biopsies from 48 adults aged 20–80.");
+});
+
+test("streaming: any chunking gives the same result as the whole document", () => {
+  for (const name of ["google-news.xml", "medicalnewstoday.xml", "atom.xml", "biorxiv-rdf.xml"]) {
+    const xml = fixture(name);
+    const expected = parseFeed(xml);
+    for (const size of [1, 7, 64]) {
+      const parser = new FeedParser();
+      for (let i = 0; i < xml.length; i += size) parser.write(xml.slice(i, i + size));
+      assert.deepEqual(parser.end(), expected, `${name} in ${size}-character chunks`);
+    }
+  }
+});
+
+test("decodeEntities and htmlToText", () => {
+  assert.equal(decodeEntities("a &amp; b &#8211; c &#x3b2; &unknown;"), "a & b – c β &unknown;");
+  assert.equal(htmlToText("<p>One<br>two</p><script>x()</script><li>three &amp; four</li>"), "One two three & four");
+});
@@ -0,0 +1,70 @@
+/**
+ * offline-run.test.js — The documented offline end-to-end run: `--auto` with the
+ * mock summarizer over fixtures/sources.offline.json, writing into a temp dir.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { mkdtempSync, readFileSync, existsSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join, resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+const run = promisify(execFile);
+
+test("--auto with the mock summarizer drafts every offline fixture as pending", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "scout-offline-"));
+  const paths = {
+    content: join(dir, "articles.json"),
+    queue: join(dir, "queue.json"),
+    drafts: join(dir, "drafts.json"),
+    rejected: join(dir, "rejected.json"),
+  };
+  try {
+    const { stdout } = await run(
+      process.execPath,
+      [
+        "auto-scout.js",
+        "--auto",
+        "--summarizer=mock",
+        "--no-enrich",
+        "--sources-config=fixtures/sources.offline.json",
+        ...Object.entries(paths).map(([name, path]) => `--${name}=${path}`),
+      ],
+      { cwd: ROOT, timeout: 60000 }
+    );
+    assert.match(stdout, /Done: 2 drafts added, 2 pending review\./);
+    assert.ok(!existsSync(paths.content), "--auto never writes the articles file");
+
+    const drafts = JSON.parse(readFileSync(paths.drafts, "utf-8"));
+    assert.equal(drafts.length, 2);
+    for (const draft of drafts) {
+      assert.equal(draft.status, "pending", `${draft.sourceUrl} is pending`);
+      assert.equal(draft.safetyFlags, undefined);
+      assert.equal(draft.model, "mock");
+      assert.match(draft.id, /^[0-9a-f]{7}$/);
+      assert.equal(draft.locale, "he");
+      assert.ok(draft.translations.en, `${draft.sourceUrl} has an English edition`);
+    }
+
+    const walking = drafts.find((d) => d.sourceUrl === "https://example.org/news/walking-biological-aging");
+    assert.equal(walking.title, "7,000 צעדים ביום קשורים להזדקנות ביולוגית איטית יותר");
+    assert.equal(walking.category, "אורח חיים");
+    assert.equal(walking.originalTitle, "Daily walking linked to slower biological aging in older adults");
+    assert.deepEqual(walking.evidence, { studyType: "cohort", sampleSize: 4200, strength: "moderate", basis: "summarizer" });
+    assert.equal(walking.translations.en.title, "7,000 steps a day linked to slower biological aging");
+    assert.ok(Array.isArray(walking.tags));
+
+    const eating = drafts.find((d) => d.sourceUrl === "https://example.org/news/time-restricted-eating-muscle");
+    assert.equal(eating.category, "תזונה");
+    assert.equal(eating.evidence.studyType, "rct");
+
+    assert.deepEqual(JSON.parse(readFileSync(paths.queue, "utf-8")), []);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
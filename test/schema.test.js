@@ -0,0 +1,27 @@
+/**
+ * schema.test.js — The v1 → v2 migration (scout/schema.js).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { migrateArticles, SCHEMA_VERSION } from "../scout/schema.js";
+
+const V1 = { id: 1, title: "כותרת", summary: "תקציר", bottomLine: "שורה תחתונה", category: "מחקר", sourceUrl: "https://www.sciencedaily.com/releases/2026/03/x.htm" };
+
+test("migrateArticles: an unparseable publishDate is reported and the rest still migrate", () => {
+  const bad = { ...V1, id: 2, publishDate: "someday" };
+  const { articles, migrated, failed } = migrateArticles([{ ...V1, publishDate: "20 במרץ 2026" }, bad]);
+  assert.equal(migrated, 1);
+  assert.deepEqual(failed, [{ id: 2, error: 'Article #2: cannot parse publishDate "someday"' }]);
+  assert.equal(articles[0].schemaVersion, SCHEMA_VERSION);
+  assert.equal(articles[0].origin, "sciencedaily");
+  assert.equal(articles[1], bad);
+});
+
+test("migrateArticles: v2 entries without evidence get evidence: null", () => {
+  const v2 = { ...V1, slug: "1-x", locale: "he", translations: {}, addedAt: "2026-03-20T00:00:00.000Z", schemaVersion: 2 };
+  const { articles, migrated } = migrateArticles([v2, { ...v2, id: 3, evidence: null }]);
+  assert.equal(migrated, 1);
+  assert.equal(articles[0].evidence, null);
+  assert.ok("evidence" in articles[0]);
+});
@@ -0,0 +1,71 @@
+/**
+ * search.test.js — The Hebrew search index (js/search.js, written by
+ * scout/search.js): stems and prefixes, and the sharded files the archive
+ * downloads per query.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, readdirSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadSearchEngine, buildSearchIndex, writeSearchIndex } from "../scout/search.js";
+
+const ARTICLES = [
+  { id: "a000001", title: "תזונה ים-תיכונית והזדקנות המוח", summary: "מחקר על דפוסי תזונה אצל מבוגרים", tags: ["תזונה"], category: "תזונה" },
+  { id: "a000002", title: "שינה ופעילות גופנית", summary: "הרגלי שינה קשורים לבריאות הלב", tags: ["שינה"], category: "אורח חיים" },
+  {
+    id: "a000003",
+    title: "תוסף תזונתי חדש בניסוי",
+    summary: "בתזונה של המשתתפים נוסף חלבון",
+    tags: [],
+    category: "מחקר",
+    translations: { en: { title: "A new dietary supplement on trial", summary: "Protein was added to the participants' diet" } },
+  },
+];
+
+const { search, shardsFor, addTerms } = loadSearchEngine();
+const ids = (hits) => Array.from(hits, (hit) => hit.id).sort();
+
+test("stems, prefix letters and final letters match the same words", () => {
+  const index = buildSearchIndex(ARTICLES);
+  assert.deepEqual(ids(search(index, "תזונתי")), ["a000001", "a000003"]);
+  assert.deepEqual(ids(search(index, "בתזונה")), ["a000001", "a000003"]);
+  assert.deepEqual(ids(search(index, "השינה")), ["a000002"]);
+  assert.deepEqual(ids(search(index, "supplements")), ["a000003"]);
+  // The last word matches as a prefix while it is being typed
+  assert.deepEqual(ids(search(index, "פעיל")), ["a000002"]);
+  assert.deepEqual(ids(search(index, "קפה")), []);
+});
+
+test("only stems are indexed, not every prefix variant", () => {
+  const { terms } = buildSearchIndex(ARTICLES);
+  assert.ok("תזונ" in terms);
+  assert.ok(!("תזונה" in terms));
+  assert.ok(!("והזדקנות" in terms));
+});
+
+test("a query loads just its shards and ranks as the whole index does", () => {
+  const dir = mkdtempSync(join(tmpdir(), "scout-search-"));
+  try {
+    writeSearchIndex(ARTICLES, dir);
+    // Left over from an earlier build; the next write removes it
+    writeFileSync(join(dir, "search", "stale.json"), "{}");
+    writeSearchIndex(ARTICLES, dir);
+
+    const manifest = JSON.parse(readFileSync(join(dir, "search.json"), "utf-8"));
+    assert.deepEqual(manifest.ids, ["a000001", "a000002", "a000003"]);
+    assert.deepEqual(readdirSync(join(dir, "search")).sort(), manifest.shards.map((key) => `${key}.json`).sort());
+
+    const whole = buildSearchIndex(ARTICLES);
+    for (const query of ["בתזונה", "שינה ופעילות", "תז", "dietary"]) {
+      const index = { ...manifest, terms: {} };
+      const keys = shardsFor(index, query);
+      assert.ok(keys.length < manifest.shards.length, `${query} needs only some shards`);
+      for (const key of keys) addTerms(index, JSON.parse(readFileSync(join(dir, "search", `${key}.json`), "utf-8")));
+      assert.deepEqual(search(index, query), search(whole, query), query);
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
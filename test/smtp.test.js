@@ -0,0 +1,151 @@
+/**
+ * smtp.test.js — scout/smtp.js against a throwaway local SMTP sink, and the
+ * MIME / RFC 2047 output of buildMessage.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { sendMail, buildMessage, parseAddress } from "../scout/smtp.js";
+
+const FROM = "חיים ארוכים <digest@example.com>";
+const TO = ["reader@example.org", "Second Reader <second@example.org>"];
+const MAIL = { from: FROM, to: TO, subject: "הסיכום השבועי", text: "שלום", html: "<p>שלום</p>" };
+
+/**
+ * A sink on a free port that records every command line it gets. `features` are
+ * the EHLO extensions it advertises; `replies` overrides the reply to a verb.
+ */
+async function startSink({ features = ["AUTH PLAIN LOGIN"], replies = {} } = {}) {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    const reply = (verb, fallback) => socket.write(`${replies[verb] || fallback}\r\n`);
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf-8");
+      if (data !== null) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        data = null;
+        reply("message", "250 2.0.0 Ok: queued as SINK1");
+      }
+      let newline;
+      while (data === null && (newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "EHLO") socket.write(["sink", ...features].map((f, i, all) => `250${i === all.length - 1 ? " " : "-"}${f}\r\n`).join(""));
+        else if (verb === "AUTH" && line === "AUTH LOGIN") reply("AUTH", "334 VXNlcm5hbWU6");
+        else if (verb === "AUTH") reply("AUTH", "235 2.7.0 Authentication successful");
+        else if (verb === "DATA") {
+          reply("DATA", "354 End data with <CR><LF>.<CR><LF>");
+          data = "";
+        } else if (verb === "QUIT") {
+          reply("QUIT", "221 Bye");
+          socket.end();
+        } else if (/^[A-Za-z0-9+/=]+$/.test(line) && commands.at(-2)?.startsWith("AUTH LOGIN")) reply("AUTH", "334 UGFzc3dvcmQ6");
+        else if (/^[A-Za-z0-9+/=]+$/.test(line)) reply("AUTH", "235 2.7.0 Authentication successful");
+        else reply(verb, "250 Ok");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    smtp: { host: "127.0.0.1", port: server.address().port, timeoutMs: 5000 },
+    commands,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("sendMail: plaintext to a local sink with starttls: false, AUTH PLAIN", async () => {
+  const sink = await startSink();
+  try {
+    const result = await sendMail({ ...sink.smtp, starttls: false, user: "user", pass: "secret" }, MAIL);
+    assert.deepEqual(result, { accepted: TO, response: "2.0.0 Ok: queued as SINK1" });
+    assert.deepEqual(sink.commands.slice(1), [
+      `AUTH PLAIN ${Buffer.from("\0user\0secret").toString("base64")}`,
+      "MAIL FROM:<digest@example.com>",
+      "RCPT TO:<reader@example.org>",
+      "RCPT TO:<second@example.org>",
+      "DATA",
+      "QUIT",
+    ]);
+    assert.match(sink.commands[0], /^EHLO \S+$/);
+    assert.equal(sink.messages.length, 1);
+    assert.match(sink.messages[0], /^From: =\?UTF-8\?B\?/);
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail: AUTH LOGIN when the server doesn't offer PLAIN", async () => {
+  const sink = await startSink({ features: ["AUTH LOGIN"] });
+  try {
+    await sendMail({ ...sink.smtp, starttls: false, user: "user", pass: "secret" }, MAIL);
+    assert.deepEqual(sink.commands.slice(1, 4), ["AUTH LOGIN", Buffer.from("user").toString("base64"), Buffer.from("secret").toString("base64")]);
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail: refuses to go on in plaintext when STARTTLS is expected but not offered", async () => {
+  const sink = await startSink();
+  try {
+    await assert.rejects(sendMail({ ...sink.smtp, user: "user", pass: "secret" }, MAIL), /does not offer STARTTLS/);
+    assert.equal(sink.commands.length, 1);
+    assert.match(sink.commands[0], /^EHLO /);
+  } finally {
+    await sink.close();
+  }
+});
+
+test("sendMail: a refused step names the step, never the credentials", async () => {
+  const sink = await startSink({ replies: { AUTH: "535 5.7.8 Authentication failed" } });
+  try {
+    await assert.rejects(sendMail({ ...sink.smtp, starttls: false, user: "user", pass: "secret" }, MAIL), (error) => {
+      assert.equal(error.message, "SMTP AUTH failed: 535 5.7.8 Authentication failed");
+      return true;
+    });
+    assert.ok(!sink.commands.some((c) => c.startsWith("MAIL")));
+  } finally {
+    await sink.close();
+  }
+});
+
+test("buildMessage: RFC 2047 headers and base64 multipart/alternative bodies", () => {
+  const message = buildMessage({ ...MAIL, date: new Date("2026-03-16T09:00:00Z") });
+  const [head, ...rest] = message.split("\r\n\r\n");
+  const headers = Object.fromEntries(head.split("\r\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+  const decodeWord = (word) => Buffer.from(word.match(/^=\?UTF-8\?B\?(.+)\?=$/)[1], "base64").toString("utf-8");
+
+  assert.ok(!/[^\r]\n/.test(message), "every line ends in CRLF");
+  assert.ok(/^[\x00-\x7f]*$/.test(message), "the message is 7-bit");
+  assert.equal(decodeWord(headers.Subject), "הסיכום השבועי");
+  assert.equal(decodeWord(headers.From.replace(/ <digest@example\.com>$/, "")), "חיים ארוכים");
+  assert.equal(headers.To, "reader@example.org, Second Reader <second@example.org>");
+  assert.equal(headers.Date, "Mon, 16 Mar 2026 09:00:00 GMT");
+  assert.match(headers["Message-ID"], /^<[0-9a-f]{32}@example\.com>$/);
+  assert.equal(headers["MIME-Version"], "1.0");
+
+  const boundary = headers["Content-Type"].match(/^multipart\/alternative; boundary="([^"]+)"$/)[1];
+  const parts = rest.join("\r\n\r\n").split(`--${boundary}`).slice(1, -1);
+  assert.equal(parts.length, 2);
+  const bodies = parts.map((part) => {
+    const [partHead, body] = part.replace(/^\r\n/, "").split("\r\n\r\n");
+    assert.match(partHead, /Content-Transfer-Encoding: base64/);
+    return [partHead.match(/Content-Type: ([^;]+); charset=UTF-8/)[1], Buffer.from(body, "base64").toString("utf-8")];
+  });
+  assert.deepEqual(bodies, [["text/plain", "שלום"], ["text/html", "<p>שלום</p>"]]);
+});
+
+test("parseAddress", () => {
+  assert.deepEqual(parseAddress('"Long Life" <a@b.org>'), { name: "Long Life", address: "a@b.org" });
+  assert.deepEqual(parseAddress(" a@b.org "), { name: "", address: "a@b.org" });
+});